@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { message, translate, requestLanguage } = require('./i18n');
+
+const MAX_FILE_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE) || 5 * 1024 * 1024; // 5MB
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES) || 5;
+const ALLOWED_TYPES = (process.env.ATTACHMENT_ALLOWED_TYPES || 'image/png,image/jpeg,image/gif,image/webp,application/pdf')
+  .split(',')
+  .map(type => type.trim())
+  .filter(Boolean);
+
+// Magic numbers for the types we know how to recognise
+const SIGNATURES = [
+  { type: 'image/png', offset: 0, bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', offset: 0, bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', offset: 0, bytes: [0x47, 0x49, 0x46, 0x38] }, // GIF8
+  { type: 'application/pdf', offset: 0, bytes: [0x25, 0x50, 0x44, 0x46, 0x2d] } // %PDF-
+];
+
+// Multer error code -> i18n message
+const MULTER_MESSAGES = {
+  LIMIT_FILE_SIZE: message('attachment_too_large', { size: formatBytes(MAX_FILE_SIZE) }),
+  LIMIT_FILE_COUNT: message('too_many_attachments', { max: MAX_FILES, count: MAX_FILES }),
+  LIMIT_UNEXPECTED_FILE: message('unexpected_attachment')
+};
+
+function formatBytes(bytes) {
+  if (bytes >= 1024 * 1024) {
+    return `${Math.round(bytes / (1024 * 1024) * 10) / 10}MB`;
+  }
+  return `${Math.round(bytes / 1024)}KB`;
+}
+
+function matchesAt(buffer, bytes, offset) {
+  return buffer.length >= offset + bytes.length && bytes.every((byte, i) => buffer[offset + i] === byte);
+}
+
+function looksLikeText(buffer) {
+  try {
+    const text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    // Control characters other than tab, newline, form feed and carriage return
+    return !/[\u0000-\u0008\u000b\u000e-\u001f\u007f]/.test(text);
+  } catch (error) {
+    return false;
+  }
+}
+
+// Detects the content type from the file bytes; the client-declared type is ignored
+function sniffMimeType(buffer) {
+  const signature = SIGNATURES.find(sig => matchesAt(buffer, sig.bytes, sig.offset));
+  if (signature) {
+    return signature.type;
+  }
+
+  // RIFF....WEBP
+  if (matchesAt(buffer, [0x52, 0x49, 0x46, 0x46], 0) && matchesAt(buffer, [0x57, 0x45, 0x42, 0x50], 8)) {
+    return 'image/webp';
+  }
+
+  if (buffer.length > 0 && looksLikeText(buffer)) {
+    return 'text/plain';
+  }
+
+  return null;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  // Browsers send UTF-8 filenames without declaring a charset
+  defParamCharset: 'utf8',
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: MAX_FILES
+  }
+});
+
+// Parses multipart submissions; JSON requests pass straight through
+function parseAttachments(req, res, next) {
+  upload.any()(req, res, (err) => {
+    if (!err) {
+      return next();
+    }
+
+    if (err instanceof multer.MulterError) {
+      const { code, params } = MULTER_MESSAGES[err.code] || message('invalid_multipart');
+      const language = requestLanguage(req);
+      res.vary('Accept-Language');
+      res.set('Content-Language', language);
+      return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: translate(language, code, params),
+        code,
+        details: process.env.NODE_ENV === 'development' ? err.message : undefined
+      });
+    }
+
+    next(err);
+  });
+}
+
+// Validates uploaded files against the schema's file fields.
+// Errors use the same shape as express-validator so they can be merged.
+function attachmentErrors(schema, files = []) {
+  const errors = [];
+  const fileFields = schema.fields.filter(field => field.type === 'file');
+  const push = (field, msg, value) => errors.push({ type: 'field', value, msg, path: field, location: 'files' });
+
+  for (const file of files) {
+    if (!fileFields.some(field => field.name === file.fieldname)) {
+      push(file.fieldname, message('unexpected_attachment'), file.originalname);
+    }
+  }
+
+  for (const field of fileFields) {
+    const label = field.label || field.name;
+    const fieldFiles = files.filter(file => file.fieldname === field.name);
+    const maxFiles = Math.min(field.maxFiles || MAX_FILES, MAX_FILES);
+    const maxSize = Math.min(field.maxSize || MAX_FILE_SIZE, MAX_FILE_SIZE);
+    const allowed = field.accept ? field.accept.filter(type => ALLOWED_TYPES.includes(type)) : ALLOWED_TYPES;
+
+    if (field.required && fieldFiles.length === 0) {
+      push(field.name, message('required', { label }));
+    }
+
+    if (fieldFiles.length > maxFiles) {
+      push(field.name, message('too_many_files', { label, max: maxFiles, count: maxFiles }));
+    }
+
+    for (const file of fieldFiles) {
+      file.detectedType = sniffMimeType(file.buffer);
+
+      if (file.size > maxSize) {
+        push(field.name, message('file_too_large', { filename: file.originalname, size: formatBytes(maxSize) }), file.originalname);
+      }
+      if (!file.detectedType || !allowed.includes(file.detectedType)) {
+        push(field.name, message('file_type_not_allowed', { filename: file.originalname }), file.originalname);
+      }
+    }
+  }
+
+  return errors;
+}
+
+function sanitizeFilename(name) {
+  const base = path.basename(String(name || ''))
+    .replace(/[\u0000-\u001f\u007f"\\/]/g, '_')
+    .trim();
+  return (base || 'attachment').slice(0, 255);
+}
+
+// RFC 6266 header with an ASCII fallback and an RFC 5987 encoded name
+function contentDisposition(filename) {
+  const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  const encoded = encodeURIComponent(filename)
+    .replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encoded}`;
+}
+
+// Writes validated files to storage. Removes anything already written if one fails.
+async function storeAttachments(storage, files = []) {
+  const stored = [];
+
+  try {
+    for (const file of files) {
+      const key = await storage.save(file.buffer);
+      stored.push({
+        field: file.fieldname,
+        filename: sanitizeFilename(file.originalname),
+        contentType: file.detectedType || sniffMimeType(file.buffer),
+        size: file.size,
+        sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+        key
+      });
+    }
+  } catch (error) {
+    await removeStoredAttachments(storage, stored.map(item => item.key));
+    throw error;
+  }
+
+  return stored;
+}
+
+// Best effort: failures are reported to the caller but never thrown
+async function removeStoredAttachments(storage, keys) {
+  const results = await Promise.allSettled(keys.map(key => storage.remove(key)));
+  return results.filter(result => result.status === 'rejected').map(result => result.reason);
+}
+
+async function insertAttachments(db, contactId, stored) {
+  const rows = [];
+  for (const item of stored) {
+    const result = await db.query(
+      `INSERT INTO attachments (contact_id, field, filename, content_type, size, sha256, storage_key)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING id, field, filename, content_type, size, created_at`,
+      [contactId, item.field, item.filename, item.contentType, item.size, item.sha256, item.key]
+    );
+    rows.push(result.rows[0]);
+  }
+  return rows;
+}
+
+async function listAttachments(db, contactId) {
+  const result = await db.query(
+    `SELECT id, field, filename, content_type, size, created_at
+     FROM attachments WHERE contact_id = $1 ORDER BY id`,
+    [contactId]
+  );
+  return result.rows;
+}
+
+async function findAttachment(db, contactId, attachmentId) {
+  const result = await db.query(
+    `SELECT id, filename, content_type, size, storage_key
+     FROM attachments WHERE contact_id = $1 AND id = $2`,
+    [contactId, attachmentId]
+  );
+  return result.rows[0] || null;
+}
+
+async function listStorageKeys(db, contactId) {
+  const result = await db.query('SELECT storage_key FROM attachments WHERE contact_id = $1', [contactId]);
+  return result.rows.map(row => row.storage_key);
+}
+
+// Always served as a download: never inline and never with a sniffable type
+async function sendAttachment(res, storage, attachment) {
+  const stream = await storage.open(attachment.storage_key);
+
+  res.set({
+    'Content-Type': 'application/octet-stream',
+    'Content-Disposition': contentDisposition(attachment.filename),
+    'Content-Length': attachment.size,
+    'X-Content-Type-Options': 'nosniff',
+    'Content-Security-Policy': "default-src 'none'; sandbox",
+    'Cache-Control': 'private, no-store'
+  });
+
+  stream.on('error', (error) => res.destroy(error));
+  stream.pipe(res);
+}
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  ALLOWED_TYPES,
+  sniffMimeType,
+  parseAttachments,
+  attachmentErrors,
+  storeAttachments,
+  removeStoredAttachments,
+  insertAttachments,
+  listAttachments,
+  findAttachment,
+  listStorageKeys,
+  sendAttachment
+};
@@ -0,0 +1,159 @@
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+
+const SCOPES = [
+  'contacts:read',
+  'contacts:write',
+  'contacts:delete',
+  'contacts:export',
+  'forms:read',
+  'forms:write',
+  'metrics:read',
+  'privacy:manage',
+  'notifications:manage',
+  'webhooks:manage',
+  'keys:manage',
+  'logs:manage'
+];
+
+// Keys look like cfk_<prefix>_<secret>. The prefix is stored in the clear so a
+// key can be found with an index lookup; only a SHA-256 of the full key is kept.
+const KEY_PATTERN = /^cfk_([0-9a-f]{12})_([A-Za-z0-9_-]{32,})$/;
+
+const KEY_COLUMNS = 'id, name, prefix, scopes, expires_at, last_used_at, revoked_at, created_at';
+
+// last_used_at is only written once per interval, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest();
+}
+
+// Hashing first gives equal-length buffers, so timingSafeEqual never throws
+// and the comparison doesn't leak the length of the expected value
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(hashKey(a), hashKey(b));
+}
+
+function generateKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  return {
+    prefix,
+    key: `cfk_${prefix}_${crypto.randomBytes(32).toString('base64url')}`
+  };
+}
+
+// Authorization: Bearer <key>, or X-API-Key: <key>
+function extractKey(req) {
+  const header = req.get('Authorization');
+  if (header && /^Bearer\s+/i.test(header)) {
+    return header.replace(/^Bearer\s+/i, '').trim();
+  }
+  return req.get('X-API-Key') || null;
+}
+
+// Resolves a presented key to { id, name, scopes }, or null if it is unknown,
+// revoked or expired. `adminKey` (default ADMIN_API_KEY), when set, is a root
+// key with every scope. Without a `db` (DATA_STORE=memory) it is the only key.
+async function authenticate(db, key, { adminKey = process.env.ADMIN_API_KEY } = {}) {
+  if (!key) {
+    return null;
+  }
+
+  if (adminKey && safeEqual(key, adminKey)) {
+    return { id: null, name: 'root', scopes: SCOPES };
+  }
+
+  const match = KEY_PATTERN.exec(key);
+  if (!match || !db) {
+    return null;
+  }
+
+  const result = await db.query(
+    `SELECT id, name, scopes, key_hash, last_used_at
+     FROM api_keys
+     WHERE prefix = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+    [match[1]]
+  );
+  const row = result.rows[0];
+  if (!row || !crypto.timingSafeEqual(hashKey(key), Buffer.from(row.key_hash, 'hex'))) {
+    return null;
+  }
+
+  return { id: row.id, name: row.name, scopes: row.scopes, lastUsedAt: row.last_used_at };
+}
+
+async function touchKey(db, apiKey) {
+  if (!db || !apiKey.id || (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_RESOLUTION_MS)) {
+    return;
+  }
+  await db.query('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [apiKey.id]);
+}
+
+async function listApiKeys(db) {
+  const result = await db.query(`SELECT ${KEY_COLUMNS} FROM api_keys ORDER BY id`);
+  return result.rows;
+}
+
+// The plaintext key is returned here and never again
+async function createApiKey(db, { name, scopes, expiresAt }) {
+  const { prefix, key } = generateKey();
+  const result = await db.query(
+    `INSERT INTO api_keys (name, prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${KEY_COLUMNS}`,
+    [name, prefix, hashKey(key).toString('hex'), scopes, expiresAt || null]
+  );
+  return { ...result.rows[0], key };
+}
+
+async function revokeApiKey(db, id) {
+  const result = await db.query(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND revoked_at IS NULL
+     RETURNING ${KEY_COLUMNS}`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+const validateApiKey = [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+
+  body('scopes.*')
+    .isIn(SCOPES).withMessage(`Scopes must be one of: ${SCOPES.join(', ')}`),
+
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  SCOPES,
+  extractKey,
+  authenticate,
+  touchKey,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  validateApiKey
+};
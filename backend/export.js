@@ -0,0 +1,188 @@
+const { Transform, pipeline } = require('stream');
+const ExcelJS = require('exceljs');
+const { query, validationResult } = require('express-validator');
+
+// Exportable columns and the SQL behind them (contacts c LEFT JOIN forms f)
+const COLUMNS = {
+  id: 'c.id',
+  form: 'f.slug',
+  name: 'c.name',
+  email: 'c.email',
+  message: 'c.message',
+  fields: 'c.fields',
+  status: 'c.status',
+  assignee: 'c.assignee',
+  spam_score: 'c.spam_score',
+  quarantined: 'c.quarantined',
+  ip_address: 'host(c.ip_address)',
+  user_agent: 'c.user_agent',
+  created_at: 'c.created_at',
+  updated_at: 'c.updated_at'
+};
+
+const DEFAULT_COLUMNS = ['id', 'form', 'name', 'email', 'message', 'status', 'created_at'];
+
+const FORMATS = {
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Rows fetched from the cursor at a time
+const BATCH_SIZE = parseInt(process.env.EXPORT_BATCH_SIZE) || 500;
+
+// Spreadsheet apps evaluate cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function parseColumns(value) {
+  return value ? String(value).split(',').map(column => column.trim()).filter(Boolean) : DEFAULT_COLUMNS;
+}
+
+function selectList(columns) {
+  return columns.map(column => `${COLUMNS[column]} AS ${column}`).join(', ');
+}
+
+function plainValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+// RFC 4180 quoting, plus a leading ' on anything that would run as a formula
+function csvField(value) {
+  let text = String(plainValue(value));
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    text = `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+function csvTransform(columns) {
+  let first = true;
+
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      let chunk = columns.map(column => csvField(row[column])).join(',') + '\r\n';
+      if (first) {
+        // The BOM makes Excel read the file as UTF-8
+        chunk = '\uFEFF' + columns.join(',') + '\r\n' + chunk;
+        first = false;
+      }
+      callback(null, chunk);
+    },
+    flush(callback) {
+      callback(null, first ? '\uFEFF' + columns.join(',') + '\r\n' : '');
+    }
+  });
+}
+
+function ndjsonTransform(columns) {
+  return new Transform({
+    writableObjectMode: true,
+    transform(row, encoding, callback) {
+      const record = {};
+      columns.forEach(column => {
+        record[column] = row[column];
+      });
+      callback(null, JSON.stringify(record) + '\n');
+    }
+  });
+}
+
+// exceljs has its own streaming writer; rows are committed as they arrive
+async function writeXlsx(rows, res, columns) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Contacts');
+  sheet.columns = columns.map(column => ({ header: column, key: column }));
+
+  for await (const row of rows) {
+    if (res.destroyed) {
+      throw new Error('Client closed the connection');
+    }
+
+    const values = {};
+    columns.forEach(column => {
+      const value = row[column];
+      values[column] = value instanceof Date || typeof value !== 'object' ? value : plainValue(value);
+    });
+    sheet.addRow(values).commit();
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Writes the rows of contacts.stream() (an object stream, see repositories/)
+// into the response as they arrive, so memory use stays flat however many rows
+// match. Resolves with the row count.
+function streamContacts(rows, res, { format, columns }) {
+  let count = 0;
+  rows.on('data', () => {
+    count++;
+  });
+
+  if (format === 'xlsx') {
+    return writeXlsx(rows, res, columns)
+      .then(() => count)
+      .catch((error) => {
+        rows.destroy();
+        throw error;
+      });
+  }
+
+  const transform = format === 'csv' ? csvTransform(columns) : ndjsonTransform(columns);
+  return new Promise((resolve, reject) => {
+    pipeline(rows, transform, res, (error) => (error ? reject(error) : resolve(count)));
+  });
+}
+
+const validateExport = [
+  query('format')
+    .optional()
+    .isIn(Object.keys(FORMATS)).withMessage(`format must be one of: ${Object.keys(FORMATS).join(', ')}`),
+
+  query('columns')
+    .optional()
+    .isString().withMessage('columns must be a comma-separated list')
+    .custom((value) => {
+      const unknown = parseColumns(value).filter(column => !COLUMNS[column]);
+      if (unknown.length > 0) {
+        throw new Error(`Unknown columns: ${unknown.join(', ')}. Available: ${Object.keys(COLUMNS).join(', ')}`);
+      }
+      return true;
+    }),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  COLUMNS,
+  DEFAULT_COLUMNS,
+  FORMATS,
+  BATCH_SIZE,
+  parseColumns,
+  selectList,
+  csvField,
+  streamContacts,
+  validateExport
+};
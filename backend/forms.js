@@ -0,0 +1,143 @@
+const { body, validationResult } = require('express-validator');
+const { assertValidSchema } = require('./schema');
+
+// Slug of the form backing the legacy POST /api/contacts endpoint
+const DEFAULT_FORM_SLUG = 'contact';
+
+const FORM_COLUMNS = 'id, slug, title, fields, success_message, notify_emails, created_at, updated_at';
+
+function toSchema(form) {
+  return { fields: form.fields };
+}
+
+// Shape exposed to <contact-form>; notification settings stay private
+function toPublicForm(form) {
+  return {
+    slug: form.slug,
+    title: form.title,
+    fields: form.fields,
+    successMessage: form.success_message
+  };
+}
+
+function toAdminForm(form) {
+  return {
+    id: form.id,
+    ...toPublicForm(form),
+    notifyEmails: form.notify_emails,
+    created_at: form.created_at,
+    updated_at: form.updated_at
+  };
+}
+
+async function findFormBySlug(db, slug) {
+  const result = await db.query(`SELECT ${FORM_COLUMNS} FROM forms WHERE slug = $1`, [slug]);
+  return result.rows[0] || null;
+}
+
+async function findFormById(db, id) {
+  const result = await db.query(`SELECT ${FORM_COLUMNS} FROM forms WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function listForms(db) {
+  const result = await db.query(`SELECT ${FORM_COLUMNS} FROM forms ORDER BY slug`);
+  return result.rows;
+}
+
+async function createForm(db, { slug, title, fields, successMessage, notifyEmails }) {
+  const result = await db.query(
+    `INSERT INTO forms (slug, title, fields, success_message, notify_emails)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${FORM_COLUMNS}`,
+    [slug, title, JSON.stringify(fields), successMessage || null, notifyEmails || []]
+  );
+  return result.rows[0];
+}
+
+async function updateForm(db, slug, { title, fields, successMessage, notifyEmails }) {
+  const result = await db.query(
+    `UPDATE forms
+     SET title = $2, fields = $3, success_message = $4, notify_emails = $5, updated_at = CURRENT_TIMESTAMP
+     WHERE slug = $1
+     RETURNING ${FORM_COLUMNS}`,
+    [slug, title, JSON.stringify(fields), successMessage || null, notifyEmails || []]
+  );
+  return result.rows[0] || null;
+}
+
+// Seeds the default form from the schema file so existing deployments keep
+// working. The file (FORM_SCHEMA_PATH) owns the default form's fields, so
+// edits to it replace the stored ones on startup; the title and the rest stay.
+async function ensureDefaultForm(db, schema) {
+  await db.query(
+    `INSERT INTO forms (slug, title, fields)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (slug) DO UPDATE SET fields = EXCLUDED.fields, updated_at = CURRENT_TIMESTAMP
+     WHERE forms.fields IS DISTINCT FROM EXCLUDED.fields`,
+    [DEFAULT_FORM_SLUG, 'Contact', JSON.stringify(schema.fields)]
+  );
+
+  // Submissions made before forms existed belong to the default form
+  await db.query(
+    `UPDATE contacts SET form_id = (SELECT id FROM forms WHERE slug = $1)
+     WHERE form_id IS NULL`,
+    [DEFAULT_FORM_SLUG]
+  );
+}
+
+// Validation middleware for form definitions (create and update)
+const validateForm = [
+  body('slug')
+    .if((value, { req }) => req.method === 'POST')
+    .trim()
+    .notEmpty().withMessage('Slug is required')
+    .matches(/^[a-z0-9][a-z0-9-]{0,63}$/).withMessage('Slug may only contain lowercase letters, digits and dashes'),
+
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 200 }).withMessage('Title must be at most 200 characters'),
+
+  body('fields')
+    .isArray({ min: 1 }).withMessage('Fields must be a non-empty array')
+    .bail()
+    .custom(fields => assertValidSchema({ fields })),
+
+  body('successMessage')
+    .optional({ values: 'null' })
+    .isString().withMessage('Success message must be a string')
+    .isLength({ max: 500 }).withMessage('Success message must be at most 500 characters'),
+
+  body('notifyEmails')
+    .optional()
+    .isArray().withMessage('Notify emails must be an array'),
+
+  body('notifyEmails.*')
+    .isEmail().withMessage('Notify emails must be valid email addresses'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  DEFAULT_FORM_SLUG,
+  toSchema,
+  toPublicForm,
+  toAdminForm,
+  findFormBySlug,
+  findFormById,
+  listForms,
+  createForm,
+  updateForm,
+  ensureDefaultForm,
+  validateForm
+};
@@ -0,0 +1,200 @@
+// Messages for errors shown to people filling in a form, keyed by stable
+// error code. {placeholders} are filled from the error's params; an object
+// entry is pluralized on params.count (Intl.PluralRules categories).
+// Admin endpoints answer in English only.
+const CATALOGS = {
+  en: {
+    required: '{label} is required',
+    must_be_checked: '{label} must be checked',
+    invalid_boolean: '{label} must be a boolean',
+    too_short: { one: '{label} must be at least {min} character', other: '{label} must be at least {min} characters' },
+    too_long: { one: '{label} must be at most {max} character', other: '{label} must be at most {max} characters' },
+    length_out_of_range: '{label} must be between {min} and {max} characters',
+    invalid_email: 'Please provide a valid email address',
+    invalid_url: '{label} must be a valid URL',
+    invalid_phone: '{label} must be a valid phone number',
+    invalid_date: '{label} must be a valid date',
+    invalid_number: '{label} must be a number',
+    number_too_small: '{label} must be at least {min}',
+    number_too_large: '{label} must be at most {max}',
+    number_out_of_range: '{label} must be between {min} and {max}',
+    invalid_option: '{label} must be one of: {options}',
+    invalid_format: '{label} is invalid',
+    unexpected_attachment: 'Unexpected attachment field',
+    too_many_files: { one: '{label} accepts at most {max} file', other: '{label} accepts at most {max} files' },
+    file_too_large: '{filename} exceeds the maximum size of {size}',
+    file_type_not_allowed: '{filename} is not an allowed file type',
+    attachment_too_large: 'Attachments must be at most {size}',
+    too_many_attachments: { one: 'No more than {max} attachment is allowed', other: 'No more than {max} attachments are allowed' },
+    invalid_multipart: 'Invalid multipart request',
+    invalid_submission_id: 'Invalid X-Client-Submission-Id header, expected a UUID'
+  },
+  de: {
+    required: '{label} ist erforderlich',
+    must_be_checked: '{label} muss angehakt sein',
+    invalid_boolean: '{label} muss ein Wahrheitswert sein',
+    too_short: '{label} muss mindestens {min} Zeichen lang sein',
+    too_long: '{label} darf höchstens {max} Zeichen lang sein',
+    length_out_of_range: '{label} muss zwischen {min} und {max} Zeichen lang sein',
+    invalid_email: 'Bitte geben Sie eine gültige E-Mail-Adresse an',
+    invalid_url: '{label} muss eine gültige URL sein',
+    invalid_phone: '{label} muss eine gültige Telefonnummer sein',
+    invalid_date: '{label} muss ein gültiges Datum sein',
+    invalid_number: '{label} muss eine Zahl sein',
+    number_too_small: '{label} muss mindestens {min} sein',
+    number_too_large: '{label} darf höchstens {max} sein',
+    number_out_of_range: '{label} muss zwischen {min} und {max} liegen',
+    invalid_option: '{label} muss einer der folgenden Werte sein: {options}',
+    invalid_format: '{label} ist ungültig',
+    unexpected_attachment: 'Unerwartetes Anhangsfeld',
+    too_many_files: { one: '{label} erlaubt höchstens {max} Datei', other: '{label} erlaubt höchstens {max} Dateien' },
+    file_too_large: '{filename} überschreitet die maximale Größe von {size}',
+    file_type_not_allowed: '{filename} hat einen nicht erlaubten Dateityp',
+    attachment_too_large: 'Anhänge dürfen höchstens {size} groß sein',
+    too_many_attachments: { one: 'Höchstens {max} Anhang ist erlaubt', other: 'Höchstens {max} Anhänge sind erlaubt' },
+    invalid_multipart: 'Ungültige Multipart-Anfrage',
+    invalid_submission_id: 'Ungültiger X-Client-Submission-Id-Header, erwartet wird eine UUID'
+  },
+  fr: {
+    required: '{label} est obligatoire',
+    must_be_checked: '{label} doit être coché',
+    invalid_boolean: '{label} doit être un booléen',
+    too_short: { one: '{label} doit contenir au moins {min} caractère', other: '{label} doit contenir au moins {min} caractères' },
+    too_long: { one: '{label} doit contenir au plus {max} caractère', other: '{label} doit contenir au plus {max} caractères' },
+    length_out_of_range: '{label} doit contenir entre {min} et {max} caractères',
+    invalid_email: 'Veuillez fournir une adresse e-mail valide',
+    invalid_url: '{label} doit être une URL valide',
+    invalid_phone: '{label} doit être un numéro de téléphone valide',
+    invalid_date: '{label} doit être une date valide',
+    invalid_number: '{label} doit être un nombre',
+    number_too_small: '{label} doit être supérieur ou égal à {min}',
+    number_too_large: '{label} doit être inférieur ou égal à {max}',
+    number_out_of_range: '{label} doit être compris entre {min} et {max}',
+    invalid_option: '{label} doit être l’une des valeurs suivantes : {options}',
+    invalid_format: '{label} n’est pas valide',
+    unexpected_attachment: 'Champ de pièce jointe inattendu',
+    too_many_files: { one: '{label} accepte au plus {max} fichier', other: '{label} accepte au plus {max} fichiers' },
+    file_too_large: '{filename} dépasse la taille maximale de {size}',
+    file_type_not_allowed: '{filename} n’est pas un type de fichier autorisé',
+    attachment_too_large: 'Les pièces jointes ne doivent pas dépasser {size}',
+    too_many_attachments: { one: '{max} pièce jointe au maximum est autorisée', other: '{max} pièces jointes au maximum sont autorisées' },
+    invalid_multipart: 'Requête multipart non valide',
+    invalid_submission_id: 'En-tête X-Client-Submission-Id non valide, un UUID est attendu'
+  },
+  es: {
+    required: '{label} es obligatorio',
+    must_be_checked: '{label} debe estar marcado',
+    invalid_boolean: '{label} debe ser un valor booleano',
+    too_short: { one: '{label} debe tener al menos {min} carácter', other: '{label} debe tener al menos {min} caracteres' },
+    too_long: { one: '{label} debe tener como máximo {max} carácter', other: '{label} debe tener como máximo {max} caracteres' },
+    length_out_of_range: '{label} debe tener entre {min} y {max} caracteres',
+    invalid_email: 'Proporcione una dirección de correo electrónico válida',
+    invalid_url: '{label} debe ser una URL válida',
+    invalid_phone: '{label} debe ser un número de teléfono válido',
+    invalid_date: '{label} debe ser una fecha válida',
+    invalid_number: '{label} debe ser un número',
+    number_too_small: '{label} debe ser como mínimo {min}',
+    number_too_large: '{label} debe ser como máximo {max}',
+    number_out_of_range: '{label} debe estar entre {min} y {max}',
+    invalid_option: '{label} debe ser uno de: {options}',
+    invalid_format: '{label} no es válido',
+    unexpected_attachment: 'Campo de adjunto inesperado',
+    too_many_files: { one: '{label} admite como máximo {max} archivo', other: '{label} admite como máximo {max} archivos' },
+    file_too_large: '{filename} supera el tamaño máximo de {size}',
+    file_type_not_allowed: '{filename} no es un tipo de archivo permitido',
+    attachment_too_large: 'Los adjuntos no pueden superar {size}',
+    too_many_attachments: { one: 'Se permite como máximo {max} adjunto', other: 'Se permiten como máximo {max} adjuntos' },
+    invalid_multipart: 'Solicitud multipart no válida',
+    invalid_submission_id: 'Encabezado X-Client-Submission-Id no válido, se esperaba un UUID'
+  },
+  ar: {
+    required: '{label} مطلوب',
+    must_be_checked: 'يجب تحديد {label}',
+    invalid_boolean: 'يجب أن تكون قيمة {label} منطقية',
+    too_short: {
+      one: 'يجب ألا يقل {label} عن حرف واحد',
+      two: 'يجب ألا يقل {label} عن حرفين',
+      few: 'يجب ألا يقل {label} عن {min} أحرف',
+      many: 'يجب ألا يقل {label} عن {min} حرفًا',
+      other: 'يجب ألا يقل {label} عن {min} حرف'
+    },
+    too_long: {
+      one: 'يجب ألا يزيد {label} عن حرف واحد',
+      two: 'يجب ألا يزيد {label} عن حرفين',
+      few: 'يجب ألا يزيد {label} عن {max} أحرف',
+      many: 'يجب ألا يزيد {label} عن {max} حرفًا',
+      other: 'يجب ألا يزيد {label} عن {max} حرف'
+    },
+    length_out_of_range: 'يجب أن يكون طول {label} بين {min} و{max} حرفًا',
+    invalid_email: 'يرجى إدخال عنوان بريد إلكتروني صالح',
+    invalid_url: 'يجب أن يكون {label} عنوان URL صالحًا',
+    invalid_phone: 'يجب أن يكون {label} رقم هاتف صالحًا',
+    invalid_date: 'يجب أن يكون {label} تاريخًا صالحًا',
+    invalid_number: 'يجب أن يكون {label} رقمًا',
+    number_too_small: 'يجب ألا يقل {label} عن {min}',
+    number_too_large: 'يجب ألا يزيد {label} عن {max}',
+    number_out_of_range: 'يجب أن يكون {label} بين {min} و{max}',
+    invalid_option: 'يجب أن يكون {label} أحد الخيارات التالية: {options}',
+    invalid_format: '{label} غير صالح',
+    unexpected_attachment: 'حقل مرفقات غير متوقع',
+    too_many_files: {
+      one: 'يقبل {label} ملفًا واحدًا كحد أقصى',
+      two: 'يقبل {label} ملفين كحد أقصى',
+      few: 'يقبل {label} {max} ملفات كحد أقصى',
+      many: 'يقبل {label} {max} ملفًا كحد أقصى',
+      other: 'يقبل {label} {max} ملف كحد أقصى'
+    },
+    file_too_large: 'يتجاوز {filename} الحجم الأقصى البالغ {size}',
+    file_type_not_allowed: 'نوع الملف {filename} غير مسموح به',
+    attachment_too_large: 'يجب ألا يتجاوز حجم المرفقات {size}',
+    too_many_attachments: 'لا يُسمح بأكثر من {max} من المرفقات',
+    invalid_multipart: 'طلب multipart غير صالح',
+    invalid_submission_id: 'ترويسة X-Client-Submission-Id غير صالحة، يجب أن تكون UUID'
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+const LANGUAGES = Object.keys(CATALOGS);
+
+// Used with withMessage(): the error keeps its code and params, and is
+// translated once the request's language is known. `text` (e.g. a form's own
+// patternMessage) is used as-is instead of the catalog entry.
+function message(code, params = {}, text) {
+  return { code, params, text };
+}
+
+function translate(language, code, params = {}) {
+  const catalog = CATALOGS[language] && CATALOGS[language][code] ? language : DEFAULT_LANGUAGE;
+  let entry = CATALOGS[catalog][code];
+  if (entry === undefined) {
+    return code;
+  }
+  if (typeof entry === 'object') {
+    entry = entry[new Intl.PluralRules(catalog).select(params.count)] || entry.other;
+  }
+  return entry.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+}
+
+// Best match for the Accept-Language header, falling back to English
+function requestLanguage(req) {
+  return req.acceptsLanguages(...LANGUAGES) || DEFAULT_LANGUAGE;
+}
+
+// Turns a validation error built with message() into one with translated
+// text in `msg` and the stable code next to it
+function localizeError(error, language) {
+  if (!error.msg || typeof error.msg !== 'object') {
+    return error;
+  }
+  const { code, params, text } = error.msg;
+  return { ...error, msg: text || translate(language, code, params), code };
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  message,
+  translate,
+  requestLanguage,
+  localizeError
+};
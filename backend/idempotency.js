@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const { startPollingWorker } = require('./worker');
+
+// How long a stored response is replayed for a repeated Idempotency-Key
+const IDEMPOTENCY_TTL_HOURS = parseInt(process.env.IDEMPOTENCY_TTL_HOURS) || 24;
+const IDEMPOTENCY_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const IDEMPOTENCY_PURGE_BATCH_SIZE = 1000;
+
+// Identical email + message on the same form within this many minutes is
+// treated as a resubmission of the first. 0 turns the check off.
+const DUPLICATE_WINDOW_MINUTES = process.env.DUPLICATE_WINDOW_MINUTES !== undefined
+  ? parseInt(process.env.DUPLICATE_WINDOW_MINUTES) || 0
+  : 10;
+
+// First half of the two-key advisory lock taken while checking for duplicates,
+// so concurrent identical submissions are checked one after the other
+const DUPLICATE_LOCK_NAMESPACE = 727302;
+
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+function isValidKey(key) {
+  return KEY_PATTERN.test(key);
+}
+
+// What a repeated key has to match: the same body and the same files
+function fingerprint(req) {
+  const files = (req.files || []).map(file => [file.fieldname, file.originalname, file.mimetype, file.size]);
+  return crypto.createHash('sha256').update(JSON.stringify({ body: req.body, files })).digest('hex');
+}
+
+// Claims `key` for a new request. Resolves to:
+//   { claimed: true }              go ahead, then complete() or release()
+//   { replay: { status, body } }   the key was already answered
+//   { conflict: 'in_progress' }    another request with the key is running
+//   { conflict: 'mismatch' }       the key was used for a different request
+// An expired key is claimed afresh. `retries` bounds the attempts made when
+// the row disappears between the two statements.
+async function claim(db, { key, scope, fingerprint: hash }, retries = 1) {
+  const claimed = await db.query(
+    `INSERT INTO idempotency_keys (key, scope, fingerprint, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(hours => $4))
+     ON CONFLICT (key, scope) DO UPDATE
+       SET fingerprint = EXCLUDED.fingerprint, status_code = NULL, response_body = NULL,
+           created_at = NOW(), expires_at = EXCLUDED.expires_at
+       WHERE idempotency_keys.expires_at < NOW()
+     RETURNING key`,
+    [key, scope, hash, IDEMPOTENCY_TTL_HOURS]
+  );
+  if (claimed.rows.length > 0) {
+    return { claimed: true };
+  }
+
+  const existing = await db.query(
+    'SELECT fingerprint, status_code, response_body FROM idempotency_keys WHERE key = $1 AND scope = $2',
+    [key, scope]
+  );
+  const row = existing.rows[0];
+  if (!row) {
+    // Purged (or erased) between the two statements; try once more, and if
+    // it keeps happening the key is as good as in use
+    if (retries > 0) {
+      return claim(db, { key, scope, fingerprint: hash }, retries - 1);
+    }
+    return { conflict: 'in_progress' };
+  }
+  if (row.fingerprint !== hash) {
+    return { conflict: 'mismatch' };
+  }
+  if (row.status_code === null) {
+    return { conflict: 'in_progress' };
+  }
+  return { replay: { status: row.status_code, body: row.response_body } };
+}
+
+// Stores the response to replay for the key
+async function complete(db, { key, scope, status, body }) {
+  await db.query(
+    'UPDATE idempotency_keys SET status_code = $3, response_body = $4 WHERE key = $1 AND scope = $2',
+    [key, scope, status, JSON.stringify(body === undefined ? null : body)]
+  );
+}
+
+// Frees the key so the request can be retried with it (server errors, or a
+// request that never produced a response)
+async function release(db, { key, scope }) {
+  await db.query(
+    'DELETE FROM idempotency_keys WHERE key = $1 AND scope = $2 AND status_code IS NULL',
+    [key, scope]
+  );
+}
+
+async function purgeExpired(db) {
+  const result = await db.query(
+    `DELETE FROM idempotency_keys
+     WHERE (key, scope) IN (SELECT key, scope FROM idempotency_keys WHERE expires_at < NOW() LIMIT $1)`,
+    [IDEMPOTENCY_PURGE_BATCH_SIZE]
+  );
+  return result.rowCount;
+}
+
+function startIdempotencyPurgeWorker({ pool, logger, intervalMs = IDEMPOTENCY_PURGE_INTERVAL_MS }) {
+  return startPollingWorker({
+    name: 'Idempotency purge',
+    runOnce: async () => (await purgeExpired(pool)) === IDEMPOTENCY_PURGE_BATCH_SIZE,
+    logger,
+    intervalMs,
+    batchSize: 100
+  });
+}
+
+// Identifies a submission's content for duplicate detection. Emails are
+// stored normalized, so the hash only needs to ignore case.
+function contentHash(email, message) {
+  return crypto.createHash('sha256')
+    .update(`${String(email).toLowerCase()}\n${message}`)
+    .digest('hex');
+}
+
+// The contact an incoming submission repeats, if any: the one stored under
+// the same client submission ID, or the same email and message within
+// DUPLICATE_WINDOW_MINUTES. Must run inside the transaction that inserts the
+// new contact; it holds a lock on the content hash until that transaction ends.
+async function findDuplicateSubmission(client, formId, { clientSubmissionId, hash }) {
+  if (clientSubmissionId) {
+    const byClientId = await client.query(
+      `SELECT id, name, email, fields, created_at FROM contacts
+       WHERE form_id = $1 AND client_submission_id = $2`,
+      [formId, clientSubmissionId]
+    );
+    if (byClientId.rows.length > 0) {
+      return byClientId.rows[0];
+    }
+  }
+
+  if (!DUPLICATE_WINDOW_MINUTES) {
+    return null;
+  }
+
+  await client.query('SELECT pg_advisory_xact_lock($1, hashtext($2))', [DUPLICATE_LOCK_NAMESPACE, hash]);
+  const byContent = await client.query(
+    `SELECT id, name, email, fields, created_at FROM contacts
+     WHERE form_id = $1 AND content_hash = $2
+       AND created_at > NOW() - make_interval(mins => $3)
+     ORDER BY created_at DESC LIMIT 1`,
+    [formId, hash, DUPLICATE_WINDOW_MINUTES]
+  );
+  return byContent.rows[0] || null;
+}
+
+module.exports = {
+  IDEMPOTENCY_TTL_HOURS,
+  DUPLICATE_WINDOW_MINUTES,
+  isValidKey,
+  fingerprint,
+  claim,
+  complete,
+  release,
+  purgeExpired,
+  startIdempotencyPurgeWorker,
+  contentHash,
+  findDuplicateSubmission
+};
@@ -0,0 +1,252 @@
+const { query, validationResult } = require('express-validator');
+const workflow = require('./workflow');
+
+// Query parameters of GET /api/contacts: filters, page/limit or cursor
+// pagination, ?sort= and ?fields=. Filters are shared with the export.
+
+const DEFAULT_LIMIT = 10;
+// Larger ?limit= values are capped, not rejected
+const MAX_LIMIT = 100;
+// OFFSET reads every row it skips, so deeper pages need a cursor
+const MAX_OFFSET = 10000;
+
+// Sortable fields and how their cursor values compare. Ties are broken by id,
+// so the order is stable and (field, id) can be used as a keyset.
+const SORT_FIELDS = {
+  created_at: 'timestamp',
+  updated_at: 'timestamp',
+  name: 'text',
+  email: 'text',
+  status: 'text',
+  spam_score: 'integer'
+};
+
+// "-created_at" is newest first
+const DEFAULT_SORT = '-created_at';
+const SORT_OPTIONS = Object.keys(SORT_FIELDS).flatMap(field => [field, `-${field}`]);
+
+// ?fields= picks from these
+const FIELDS = ['id', 'form', 'name', 'email', 'message', 'fields', 'status', 'assignee', 'spam_score', 'quarantined', 'created_at', 'updated_at'];
+const DEFAULT_FIELDS = ['id', 'form', 'name', 'email', 'status', 'assignee', 'spam_score', 'quarantined', 'created_at'];
+
+const CURSOR_VALUE_PATTERNS = {
+  timestamp: /^\d{4}-\d{2}-\d{2}[ T]\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}(:?\d{2})?)$/,
+  integer: /^-?\d{1,10}$/,
+  text: /^[\s\S]{0,1000}$/
+};
+
+function parseSort(value = DEFAULT_SORT) {
+  const descending = value.startsWith('-');
+  return { param: value, field: descending ? value.slice(1) : value, descending };
+}
+
+function parseFields(value) {
+  return value ? String(value).split(',').map(field => field.trim()).filter(Boolean) : DEFAULT_FIELDS;
+}
+
+// Cursors are opaque to clients: the sort they belong to, the (value, id) of
+// the row they start after (or before, when `backward`)
+function encodeCursor(sort, { key, id }, backward = false) {
+  return Buffer.from(JSON.stringify({ s: sort.param, k: key, i: id, b: backward })).toString('base64url');
+}
+
+// Returns null for anything that isn't a well-formed cursor
+function decodeCursor(value) {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+
+  if (!cursor || !SORT_OPTIONS.includes(cursor.s) || !Number.isInteger(cursor.i) || cursor.i < 1
+    || typeof cursor.k !== 'string' || typeof cursor.b !== 'boolean') {
+    return null;
+  }
+  if (!CURSOR_VALUE_PATTERNS[SORT_FIELDS[parseSort(cursor.s).field]].test(cursor.k)) {
+    return null;
+  }
+  return { sort: cursor.s, key: cursor.k, id: cursor.i, backward: cursor.b };
+}
+
+function checkErrors(req, res, next) {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      error: 'Validation failed',
+      details: errors.array()
+    });
+  }
+  next();
+}
+
+const filterRules = [
+  query('form')
+    .optional()
+    .isString().withMessage('form must be a string')
+    .isLength({ max: 64 }).withMessage('form must be at most 64 characters'),
+
+  query('email')
+    .optional()
+    .isString().withMessage('email must be a string')
+    .isLength({ max: 255 }).withMessage('email must be at most 255 characters'),
+
+  query('status')
+    .optional()
+    .isString().withMessage('status must be a comma-separated list')
+    .custom(value => value.split(',').every(status => workflow.STATUSES.includes(status)))
+    .withMessage(`status must be a comma-separated list of: ${workflow.STATUSES.join(', ')}`),
+
+  query('assignee')
+    .optional()
+    .isString().withMessage('assignee must be a string')
+    .isLength({ max: 100 }).withMessage('assignee must be at most 100 characters'),
+
+  query(['startDate', 'endDate'])
+    .optional()
+    .isISO8601().withMessage('Dates must be ISO 8601'),
+
+  query('quarantined')
+    .optional()
+    .isIn(['true', 'false', 'all']).withMessage('quarantined must be one of: true, false, all')
+];
+
+// The filters, for the list and the export
+const validateContactFilters = [...filterRules, checkErrors];
+
+const validateListQuery = [
+  ...filterRules,
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1 }).withMessage('limit must be a positive integer'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 }).withMessage('page must be a positive integer')
+    .bail()
+    .custom((value, { req }) => !req.query.cursor).withMessage('Use either page or cursor, not both')
+    .custom((value, { req }) => (parseInt(value) - 1) * listLimit(req.query) <= MAX_OFFSET)
+    .withMessage(`page is too deep (past ${MAX_OFFSET} contacts); follow the next cursor instead`),
+
+  query('sort')
+    .optional()
+    .isIn(SORT_OPTIONS).withMessage(`sort must be one of: ${SORT_OPTIONS.join(', ')}`),
+
+  query('fields')
+    .optional()
+    .isString().withMessage('fields must be a comma-separated list')
+    .custom((value) => {
+      const fields = parseFields(value);
+      const unknown = fields.filter(field => !FIELDS.includes(field));
+      if (unknown.length > 0) {
+        throw new Error(`Unknown fields: ${unknown.join(', ')}. Available: ${FIELDS.join(', ')}`);
+      }
+      if (fields.length === 0) {
+        throw new Error('fields must list at least one field');
+      }
+      return true;
+    }),
+
+  query('cursor')
+    .optional()
+    .isString().withMessage('cursor must be a string')
+    .bail()
+    .custom(value => decodeCursor(value) !== null).withMessage('cursor is invalid')
+    .bail()
+    .custom((value, { req }) => decodeCursor(value).sort === (req.query.sort || DEFAULT_SORT))
+    .withMessage('cursor belongs to a different sort; pass the same sort as the request it came from'),
+
+  checkErrors
+];
+
+function listLimit(query) {
+  return Math.min(parseInt(query.limit) || DEFAULT_LIMIT, MAX_LIMIT);
+}
+
+// Listing options for repositories' contacts.list(), from a validated query.
+// ?q= without an explicit sort orders by relevance, which only pages by number.
+function listOptions(query) {
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  return {
+    limit: listLimit(query),
+    page: cursor ? null : parseInt(query.page) || 1,
+    cursor,
+    sort: parseSort(query.sort),
+    relevance: Boolean(query.q && !query.sort && !cursor),
+    fields: parseFields(query.fields)
+  };
+}
+
+// The pagination block of the response. `result` is what contacts.list()
+// resolved to: { total, hasMore, first, last } besides the rows.
+function paginate(options, { total, hasMore, first, last }) {
+  const { limit, page, cursor, sort, relevance } = options;
+  const at = edge => (edge && !relevance ? edge : null);
+
+  if (!cursor) {
+    return {
+      page,
+      limit,
+      total,
+      totalPages: Math.ceil(total / limit),
+      next: hasMore && at(last) ? encodeCursor(sort, last) : null,
+      prev: page > 1 && at(first) ? encodeCursor(sort, first, true) : null
+    };
+  }
+
+  // Walking backward, `hasMore` is about the rows before this page
+  return {
+    limit,
+    next: (cursor.backward || hasMore) && last ? encodeCursor(sort, last) : null,
+    prev: (!cursor.backward || hasMore) && first ? encodeCursor(sort, first, true) : null
+  };
+}
+
+// RFC 8288 Link header with next/prev (cursors when there are any, page
+// numbers otherwise), first and, when paging by number, last
+function linkHeader(req, pagination) {
+  const link = (params, rel) => {
+    const search = new URLSearchParams(req.query);
+    search.delete('page');
+    search.delete('cursor');
+    Object.entries(params).forEach(([name, value]) => search.set(name, value));
+    return `<${req.baseUrl}${req.path}?${search}>; rel="${rel}"`;
+  };
+
+  const links = [];
+  const { page, totalPages, next, prev } = pagination;
+  if (next) {
+    links.push(link({ cursor: next }, 'next'));
+  } else if (page && page < totalPages) {
+    links.push(link({ page: page + 1 }, 'next'));
+  }
+  if (prev) {
+    links.push(link({ cursor: prev }, 'prev'));
+  } else if (page > 1) {
+    links.push(link({ page: page - 1 }, 'prev'));
+  }
+  links.push(link({}, 'first'));
+  if (page && totalPages > 1 && (totalPages - 1) * pagination.limit <= MAX_OFFSET) {
+    links.push(link({ page: totalPages }, 'last'));
+  }
+  return links.join(', ');
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  MAX_OFFSET,
+  SORT_FIELDS,
+  SORT_OPTIONS,
+  DEFAULT_SORT,
+  FIELDS,
+  DEFAULT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  validateContactFilters,
+  validateListQuery,
+  listOptions,
+  paginate,
+  linkHeader
+};
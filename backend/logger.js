@@ -1,13 +1,100 @@
+const net = require('net');
+const { AsyncLocalStorage } = require('async_hooks');
+const { body, validationResult } = require('express-validator');
 const winston = require('winston');
 
+const LEVELS = Object.keys(winston.config.npm.levels);
+
+// Per-request state ({ requestId }) for everything that runs on behalf of a
+// request, so log entries can be tied together without passing req around
+const requestContext = new AsyncLocalStorage();
+
+// LOG_REDACT lists the redaction rules to apply (default all, "none" for none):
+//   email  j.doe@example.com -> j***@example.com, also percent-encoded as in
+//          URLs (j.doe%40example.com -> j***%40example.com)
+//   ip     IPv4 and IPv6 addresses -> [ip]
+//   body   values of the LOG_REDACT_FIELDS properties (default message,body)
+//          in log metadata -> [redacted]; the log line itself is kept
+const REDACT_RULES = (process.env.LOG_REDACT || 'email,ip,body')
+  .split(',').map(rule => rule.trim()).filter(rule => rule && rule !== 'none');
+const REDACT_FIELDS = (process.env.LOG_REDACT_FIELDS || 'message,body')
+  .split(',').map(field => field.trim()).filter(Boolean);
+
+const EMAIL_PATTERN = /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*(@|%40)([A-Za-z0-9.-]+\.[A-Za-z]{2,})/g;
+// Candidates only; net.isIP() decides, so timestamps and versions are left alone
+const IP_CANDIDATE_PATTERN = /[0-9A-Fa-f]*(?:[.:][0-9A-Fa-f]*){2,}/g;
+
+function maskText(text) {
+  let masked = text;
+  if (REDACT_RULES.includes('email')) {
+    masked = masked.replace(EMAIL_PATTERN, '$1***$2$3');
+  }
+  if (REDACT_RULES.includes('ip')) {
+    masked = masked.replace(IP_CANDIDATE_PATTERN, (candidate) => {
+      const address = candidate.replace(/[.:]+$/, '');
+      return net.isIP(address) ? `[ip]${candidate.slice(address.length)}` : candidate;
+    });
+  }
+  return masked;
+}
+
+function redactValue(value, depth = 0) {
+  if (typeof value === 'string') {
+    return maskText(value);
+  }
+  if (!value || typeof value !== 'object' || depth > 5) {
+    return value;
+  }
+  if (value instanceof Error) {
+    // Keep what went wrong readable: mask it like the log line, don't blank it
+    return { ...redactValue({ ...value }, depth + 1), message: maskText(value.message), stack: maskText(value.stack || '') };
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactValue(item, depth + 1));
+  }
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = REDACT_RULES.includes('body') && REDACT_FIELDS.includes(key) && item !== undefined
+      ? '[redacted]'
+      : redactValue(item, depth + 1);
+  }
+  return copy;
+}
+
+const redact = winston.format((info) => {
+  if (REDACT_RULES.length === 0) {
+    return info;
+  }
+  for (const [key, value] of Object.entries(info)) {
+    if (key === 'level' || key === 'timestamp') {
+      continue;
+    }
+    // info.message is the log line; only metadata fields are blanked
+    info[key] = key !== 'message' && REDACT_RULES.includes('body') && REDACT_FIELDS.includes(key)
+      ? '[redacted]'
+      : redactValue(value);
+  }
+  return info;
+});
+
+const requestId = winston.format((info) => {
+  const store = requestContext.getStore();
+  if (store && store.requestId && !info.requestId) {
+    info.requestId = store.requestId;
+  }
+  return info;
+});
+
 const logger = winston.createLogger({
-  level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
+  level: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug'),
   format: winston.format.combine(
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
     }),
     winston.format.errors({ stack: true }),
     winston.format.splat(),
+    requestId(),
+    redact(),
     winston.format.json()
   ),
   defaultMeta: { service: 'contact-form-api' },
@@ -35,4 +122,24 @@ if (process.env.NODE_ENV !== 'production') {
   }));
 }
 
-module.exports = logger;
\ No newline at end of file
+const validateLogLevel = [
+  body('level')
+    .isIn(LEVELS).withMessage(`Level must be one of: ${LEVELS.join(', ')}`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = logger;
+module.exports.LEVELS = LEVELS;
+module.exports.requestContext = requestContext;
+module.exports.maskText = maskText;
+module.exports.validateLogLevel = validateLogLevel;
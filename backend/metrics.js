@@ -0,0 +1,119 @@
+const client = require('prom-client');
+
+// Operational metrics in the Prometheus text format, served at /metrics.
+// Labels only take values from small fixed sets (route templates, not URLs),
+// so series don't multiply with traffic.
+const register = new client.Registry();
+
+client.collectDefaultMetrics({ register });
+
+const METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS', 'HEAD'];
+
+const SUBMISSION_OUTCOMES = ['saved', 'spam', 'duplicate', 'replayed', 'validation_failed', 'rate_limited', 'rejected', 'error'];
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const submissions = new client.Counter({
+  name: 'contact_form_submissions_total',
+  help: 'Form submissions by outcome',
+  labelNames: ['outcome'],
+  registers: [register]
+});
+
+// Every outcome is reported from the start, so rates work before the first hit
+SUBMISSION_OUTCOMES.forEach(outcome => submissions.inc({ outcome }, 0));
+
+// The route template a request matched (e.g. /api/contacts/:id), or
+// "unmatched" for anything that didn't reach a route (404s, rate limits)
+function routeLabel(req) {
+  if (!req.route) {
+    return 'unmatched';
+  }
+  const path = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+  return `${req.baseUrl}${path}`;
+}
+
+function httpMiddleware(req, res, next) {
+  const end = httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const labels = {
+      method: METHODS.includes(req.method) ? req.method : 'other',
+      route: routeLabel(req),
+      status: String(res.statusCode)
+    };
+    httpRequests.inc(labels);
+    end(labels);
+  });
+
+  next();
+}
+
+function recordSubmission(outcome) {
+  submissions.inc({ outcome: SUBMISSION_OUTCOMES.includes(outcome) ? outcome : 'error' });
+}
+
+// What a finished submission request amounted to: the outcome the handler
+// set in res.locals.submissionOutcome, else one read off the status code
+function submissionOutcome(res) {
+  if (res.locals.submissionOutcome) {
+    return res.locals.submissionOutcome;
+  }
+  if (res.statusCode === 400 || res.statusCode === 413) {
+    return 'validation_failed';
+  }
+  if (res.statusCode === 429) {
+    return 'rate_limited';
+  }
+  if (res.statusCode >= 500) {
+    return 'error';
+  }
+  return res.statusCode < 300 ? 'saved' : 'rejected';
+}
+
+// Mounted first on the submission routes
+function countSubmission(req, res, next) {
+  res.on('finish', () => recordSubmission(submissionOutcome(res)));
+  next();
+}
+
+// pg pool gauges, read at scrape time. Metric names are global, so this is
+// done once per process, by whoever owns the pool (server.js).
+function registerPoolMetrics(pool) {
+  const gauges = [
+    ['pg_pool_total_connections', 'Connections open in the pg pool', () => pool.totalCount],
+    ['pg_pool_idle_connections', 'Idle connections in the pg pool', () => pool.idleCount],
+    ['pg_pool_waiting_requests', 'Queries waiting for a pg pool connection', () => pool.waitingCount]
+  ];
+
+  gauges.forEach(([name, help, read]) => new client.Gauge({
+    name,
+    help,
+    registers: [register],
+    collect() {
+      this.set(read());
+    }
+  }));
+}
+
+module.exports = {
+  register,
+  SUBMISSION_OUTCOMES,
+  httpMiddleware,
+  recordSubmission,
+  countSubmission,
+  registerPoolMetrics
+};
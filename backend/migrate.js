@@ -0,0 +1,210 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Migrations are pairs of NNN_name.up.sql / NNN_name.down.sql, applied in
+// version order, each in its own transaction
+const MIGRATIONS_DIR = process.env.MIGRATIONS_DIR || path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Held for the whole run so concurrent instances migrate one at a time.
+// Any fixed number works as long as every instance uses the same one.
+const LOCK_KEY = 727301;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function checksum(sql) {
+  return crypto.createHash('sha256').update(sql).digest('hex');
+}
+
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  const byVersion = new Map();
+
+  for (const file of fs.readdirSync(dir).sort()) {
+    const match = file.match(FILE_PATTERN);
+    if (!match) {
+      continue;
+    }
+
+    const [, number, name, direction] = match;
+    const version = parseInt(number, 10);
+    const migration = byVersion.get(version) || { version, name };
+    if (migration.name !== name || migration[direction]) {
+      throw new MigrationError(`Duplicate migration version ${version} (${file})`);
+    }
+    migration[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+    byVersion.set(version, migration);
+  }
+
+  const migrations = [...byVersion.values()].sort((a, b) => a.version - b.version);
+  const missing = migrations.find(migration => !migration.up);
+  if (missing) {
+    throw new MigrationError(`Migration ${missing.version}_${missing.name} has no .up.sql file`);
+  }
+  return migrations;
+}
+
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum CHAR(64) NOT NULL,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+async function appliedMigrations(client) {
+  const result = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+async function runInTransaction(client, sql, record) {
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    await record();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+// Applies every pending migration up to `target` (default: all). Returns the
+// migrations that were applied.
+async function migrate(pool, { logger, target = Infinity } = {}) {
+  const migrations = loadMigrations();
+
+  return withLock(pool, async (client) => {
+    const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+
+    for (const row of applied.values()) {
+      const migration = migrations.find(item => item.version === row.version);
+      if (migration && checksum(migration.up) !== row.checksum && logger) {
+        logger.warn(`Migration ${row.version}_${row.name} was changed after it was applied`);
+      }
+    }
+
+    const pending = migrations.filter(migration => !applied.has(migration.version) && migration.version <= target);
+    for (const migration of pending) {
+      await runInTransaction(client, migration.up, () => client.query(
+        'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+        [migration.version, migration.name, checksum(migration.up)]
+      ));
+      if (logger) {
+        logger.info(`Migration applied: ${migration.version}_${migration.name}`);
+      }
+    }
+
+    return pending;
+  });
+}
+
+// Reverts the last `steps` applied migrations, newest first
+async function rollback(pool, { logger, steps = 1 } = {}) {
+  const migrations = loadMigrations();
+
+  return withLock(pool, async (client) => {
+    const applied = (await appliedMigrations(client)).reverse().slice(0, steps);
+    const reverted = [];
+
+    for (const row of applied) {
+      const migration = migrations.find(item => item.version === row.version);
+      if (!migration || !migration.down) {
+        throw new MigrationError(`Migration ${row.version}_${row.name} has no .down.sql file`);
+      }
+
+      await runInTransaction(client, migration.down, () => client.query(
+        'DELETE FROM schema_migrations WHERE version = $1',
+        [migration.version]
+      ));
+      if (logger) {
+        logger.info(`Migration reverted: ${migration.version}_${migration.name}`);
+      }
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+}
+
+async function status(pool) {
+  const migrations = loadMigrations();
+
+  return withLock(pool, async (client) => {
+    const applied = new Map((await appliedMigrations(client)).map(row => [row.version, row]));
+    return migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+  });
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
+
+// Standalone: node migrate.js [up [version] | down [steps] | status]
+if (require.main === module) {
+  require('dotenv').config();
+  const { Pool } = require('pg');
+
+  const [command = 'up', arg] = process.argv.slice(2);
+  const pool = new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT || 5432,
+    database: process.env.DB_NAME,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASSWORD,
+    max: 1
+  });
+  const logger = {
+    info: message => console.log(message),
+    warn: message => console.warn(message)
+  };
+
+  const commands = {
+    up: () => migrate(pool, { logger, target: arg ? parseInt(arg, 10) : Infinity })
+      .then(applied => console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Already up to date')),
+    down: () => rollback(pool, { logger, steps: arg ? parseInt(arg, 10) : 1 })
+      .then(reverted => console.log(`Reverted ${reverted.length} migration(s)`)),
+    status: () => status(pool)
+      .then(rows => rows.forEach(row => console.log(
+        `${String(row.version).padStart(3, '0')}_${row.name}  ${row.applied_at ? row.applied_at.toISOString() : 'pending'}`
+      )))
+  };
+
+  if (!commands[command]) {
+    console.error('Usage: node migrate.js [up [version] | down [steps] | status]');
+    process.exit(2);
+  }
+
+  commands[command]()
+    .catch((error) => {
+      console.error(`Migration failed: ${error.message}`);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -0,0 +1,15 @@
+DROP VIEW IF EXISTS contacts_summary;
+
+DROP TABLE IF EXISTS privacy_erasures;
+DROP TABLE IF EXISTS webhook_delivery_attempts;
+DROP TABLE IF EXISTS webhook_deliveries;
+DROP TABLE IF EXISTS webhooks;
+DROP TABLE IF EXISTS api_keys;
+DROP TABLE IF EXISTS notification_outbox;
+DROP TABLE IF EXISTS attachments;
+DROP TABLE IF EXISTS contact_status_history;
+DROP TABLE IF EXISTS contact_notes;
+DROP TABLE IF EXISTS contacts;
+DROP TABLE IF EXISTS forms;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
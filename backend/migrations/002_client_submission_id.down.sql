@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_contacts_client_submission_id;
+
+ALTER TABLE contacts DROP COLUMN IF EXISTS client_submission_id;
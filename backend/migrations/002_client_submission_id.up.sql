@@ -0,0 +1,7 @@
+-- Client-generated ID sent with each submission (X-Client-Submission-Id), so
+-- a submission replayed from the component's offline queue is stored once
+ALTER TABLE contacts ADD COLUMN client_submission_id UUID;
+
+CREATE UNIQUE INDEX idx_contacts_client_submission_id
+    ON contacts (form_id, client_submission_id)
+    WHERE client_submission_id IS NOT NULL;
@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_contacts_content_hash;
+
+ALTER TABLE contacts DROP COLUMN IF EXISTS content_hash;
+
+DROP TABLE IF EXISTS idempotency_keys;
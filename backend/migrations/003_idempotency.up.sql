@@ -0,0 +1,21 @@
+-- Responses stored per Idempotency-Key, replayed until expires_at.
+-- status_code is NULL while the first request is still running.
+CREATE TABLE idempotency_keys (
+    key VARCHAR(255) NOT NULL,
+    scope VARCHAR(255) NOT NULL,
+    fingerprint CHAR(64) NOT NULL,
+    status_code INTEGER,
+    response_body JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    PRIMARY KEY (key, scope)
+);
+
+CREATE INDEX idx_idempotency_keys_expires_at ON idempotency_keys(expires_at);
+
+-- sha256 of lower(email) + newline + message, for duplicate detection.
+-- Existing rows are left NULL; only recent submissions are compared.
+ALTER TABLE contacts ADD COLUMN content_hash CHAR(64);
+
+CREATE INDEX idx_contacts_content_hash ON contacts(form_id, content_hash, created_at DESC)
+    WHERE content_hash IS NOT NULL;
@@ -0,0 +1,3 @@
+CREATE INDEX IF NOT EXISTS idx_contacts_created_at ON contacts(created_at DESC);
+
+DROP INDEX IF EXISTS idx_contacts_created_at_id;
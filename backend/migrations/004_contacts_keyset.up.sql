@@ -0,0 +1,5 @@
+-- The contact list pages by (created_at, id) with ?cursor=, newest first by
+-- default. This covers the old created_at index as well.
+CREATE INDEX idx_contacts_created_at_id ON contacts(created_at DESC, id DESC);
+
+DROP INDEX IF EXISTS idx_contacts_created_at;
@@ -0,0 +1,9 @@
+-- Proof-of-work challenges already used by a submission, so a token can't be
+-- replayed on another instance or after a restart. Kept until expires_at,
+-- when the token itself would no longer be accepted.
+CREATE TABLE spent_challenges (
+    challenge CHAR(32) PRIMARY KEY,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX idx_spent_challenges_expires_at ON spent_challenges(expires_at);
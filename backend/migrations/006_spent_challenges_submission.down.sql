@@ -0,0 +1 @@
+ALTER TABLE spent_challenges DROP COLUMN IF EXISTS submission_id;
@@ -0,0 +1,3 @@
+-- The X-Client-Submission-Id the challenge was spent with. A retry of that
+-- submission (outbox replay, resend after a lost response) may use it again.
+ALTER TABLE spent_challenges ADD COLUMN submission_id UUID;
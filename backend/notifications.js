@@ -0,0 +1,252 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { backoffDelay } = require('./retry');
+const { startPollingWorker } = require('./worker');
+
+const TEMPLATE_DIR = process.env.NOTIFY_TEMPLATE_DIR || path.join(__dirname, 'templates');
+const SUBJECT_TEMPLATE = process.env.NOTIFY_SUBJECT || 'New {{form_title}} submission from {{name}}';
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFY_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_MS = parseInt(process.env.NOTIFY_RETRY_BASE_MS) || 30000;
+const POLL_INTERVAL_MS = parseInt(process.env.NOTIFY_POLL_INTERVAL_MS) || 5000;
+// A claimed job isn't picked up again for this long, so another worker only
+// retries it if the one sending it died. Longer than nodemailer's timeouts.
+const CLAIM_TTL_MS = parseInt(process.env.NOTIFY_CLAIM_TTL_MS) || 15 * 60 * 1000;
+
+function defaultRecipients() {
+  return (process.env.NOTIFY_EMAILS || '')
+    .split(',')
+    .map(email => email.trim())
+    .filter(Boolean);
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// {{name}} is HTML-escaped in HTML templates, {{{name}}} is inserted as-is.
+// Single pass, so placeholders inside substituted values are never expanded.
+function renderTemplate(template, context, { html = false } = {}) {
+  return template.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, raw, escaped) => {
+    const value = context[raw || escaped];
+    const text = value === undefined || value === null ? '' : String(value);
+    return escaped && html ? escapeHtml(text) : text;
+  });
+}
+
+function loadTemplate(name, extension) {
+  // Template names come from our own rows, but never let them escape the directory
+  const file = path.join(TEMPLATE_DIR, `${path.basename(name)}.${extension}`);
+  return fs.promises.readFile(file, 'utf8');
+}
+
+function templateContext(payload) {
+  const fields = payload.fields || [];
+  const files = payload.attachments || [];
+
+  return {
+    form_title: payload.form.title,
+    form_slug: payload.form.slug,
+    contact_id: payload.contact.id,
+    name: payload.contact.name,
+    email: payload.contact.email,
+    message: payload.contact.message,
+    submitted_at: payload.contact.created_at,
+    fields_text: fields.map(field => `${field.label}: ${field.value}`).join('\n'),
+    fields_html: fields
+      .map(field => `<tr><th align="left">${escapeHtml(field.label)}</th><td>${escapeHtml(field.value)}</td></tr>`)
+      .join(''),
+    attachments_text: files.map(file => `- ${file.filename} (${file.size} bytes)`).join('\n'),
+    attachments_html: files
+      .map(file => `<li>${escapeHtml(file.filename)} (${escapeHtml(file.size)} bytes)</li>`)
+      .join('')
+  };
+}
+
+async function buildMessage(job) {
+  const context = templateContext(job.payload);
+  const [html, text] = await Promise.all([
+    loadTemplate(job.template, 'html'),
+    loadTemplate(job.template, 'txt')
+  ]);
+
+  return {
+    from: process.env.NOTIFY_FROM || 'Contact Form <no-reply@localhost>',
+    to: job.recipients,
+    replyTo: job.payload.contact.email,
+    subject: renderTemplate(SUBJECT_TEMPLATE, context).replace(/[\r\n]+/g, ' '),
+    html: renderTemplate(html, context, { html: true }),
+    text: renderTemplate(text, context)
+  };
+}
+
+// Queues a staff notification. Call with the transaction client used for the
+// contact INSERT so the job only exists if the contact does.
+async function enqueueNotification(db, { form, contact, attachments = [] }) {
+  const recipients = form.notify_emails && form.notify_emails.length > 0
+    ? form.notify_emails
+    : defaultRecipients();
+
+  if (recipients.length === 0) {
+    return null;
+  }
+
+  const labels = {};
+  form.fields.forEach(field => {
+    labels[field.name] = field.label || field.name;
+  });
+
+  const payload = {
+    form: { slug: form.slug, title: form.title },
+    contact: {
+      id: contact.id,
+      name: contact.name,
+      email: contact.email,
+      message: contact.message,
+      created_at: contact.created_at
+    },
+    fields: Object.entries(contact.fields || {}).map(([name, value]) => ({
+      label: labels[name] || name,
+      value: String(value)
+    })),
+    attachments: attachments.map(attachment => ({
+      filename: attachment.filename,
+      content_type: attachment.content_type,
+      size: attachment.size
+    }))
+  };
+
+  const result = await db.query(
+    `INSERT INTO notification_outbox (contact_id, recipients, template, payload)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [contact.id, recipients, 'new-contact', payload]
+  );
+  return result.rows[0].id;
+}
+
+function createMailer() {
+  if (!process.env.SMTP_HOST) {
+    return null;
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+      : undefined
+  });
+}
+
+// Claims a due job by counting the attempt and pushing next_attempt_at past
+// CLAIM_TTL_MS, committed before anything is sent, so several workers can run
+async function claimNext(db) {
+  const { rows } = await db.query(
+    `UPDATE notification_outbox
+     SET attempts = attempts + 1,
+         next_attempt_at = CURRENT_TIMESTAMP + $1 * INTERVAL '1 millisecond'
+     WHERE id = (
+       SELECT id FROM notification_outbox
+       WHERE status = 'pending' AND next_attempt_at <= CURRENT_TIMESTAMP
+       ORDER BY id
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, recipients, template, payload, attempts`,
+    [CLAIM_TTL_MS]
+  );
+  return rows[0] || null;
+}
+
+// Claims and delivers one due job. Returns false when there is nothing to do.
+// The outcome is only recorded while the claim is still this worker's (the
+// attempt count hasn't moved on).
+async function deliverNext(pool, mailer, logger) {
+  const job = await claimNext(pool);
+  if (!job) {
+    return false;
+  }
+
+  const { attempts } = job;
+
+  try {
+    await mailer.sendMail(await buildMessage(job));
+    await pool.query(
+      `UPDATE notification_outbox
+       SET status = 'sent', last_error = NULL, sent_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND attempts = $2`,
+      [job.id, attempts]
+    );
+    logger.info(`Notification ${job.id} sent (attempt ${attempts})`);
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+    await pool.query(
+      `UPDATE notification_outbox
+       SET status = $3, last_error = $4,
+           next_attempt_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 millisecond'
+       WHERE id = $1 AND attempts = $2`,
+      [job.id, attempts, failed ? 'failed' : 'pending', error.message, backoffDelay(attempts, { baseMs: RETRY_BASE_MS })]
+    );
+
+    if (failed) {
+      logger.error(`Notification ${job.id} failed permanently after ${attempts} attempts: ${error.message}`);
+    } else {
+      logger.warn(`Notification ${job.id} failed (attempt ${attempts}), will retry: ${error.message}`);
+    }
+  }
+
+  return true;
+}
+
+// Polls the outbox until stopped. Returns { stop }.
+function startOutboxWorker({ pool, mailer, logger, intervalMs = POLL_INTERVAL_MS, batchSize = 10 }) {
+  return startPollingWorker({
+    name: 'Outbox',
+    runOnce: () => deliverNext(pool, mailer, logger),
+    logger,
+    intervalMs,
+    batchSize
+  });
+}
+
+async function listNotifications(db, { status, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT id, contact_id, recipients, template, status, attempts, last_error,
+            next_attempt_at, created_at, sent_at
+     FROM notification_outbox
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY id DESC
+     LIMIT $2`,
+    [status || null, limit]
+  );
+  return result.rows;
+}
+
+// Puts a failed job back in the queue with a fresh set of attempts
+async function retryNotification(db, id) {
+  const result = await db.query(
+    `UPDATE notification_outbox
+     SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'failed'
+     RETURNING id, status`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+module.exports = {
+  renderTemplate,
+  enqueueNotification,
+  createMailer,
+  deliverNext,
+  startOutboxWorker,
+  listNotifications,
+  retryNotification
+};
@@ -0,0 +1,244 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { submissionSchema } = require('./openapi');
+
+// Checks traffic against the OpenAPI document (OPENAPI_VALIDATE, default
+// "warn" in development and "off" otherwise):
+//   warn    mismatches are logged
+//   strict  mismatches are also answered with a 500, so tests fail on them
+// A mismatch is a response that doesn't match the documented status and
+// schema, an undocumented route, or the route and the spec disagreeing about
+// a request: a 2xx for a request the spec rejects, or a submission rejected
+// by validateContact although it matches the spec.
+const MODES = ['off', 'warn', 'strict'];
+
+// Submissions are checked against the fields of the form they went to
+const SUBMISSION_OPERATIONS = ['submitContact', 'submitForm'];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+function resolveMode(value = process.env.OPENAPI_VALIDATE) {
+  if (!value) {
+    return process.env.NODE_ENV === 'development' ? 'warn' : 'off';
+  }
+  if (!MODES.includes(value)) {
+    throw new Error(`OPENAPI_VALIDATE must be one of: ${MODES.join(', ')}`);
+  }
+  return value;
+}
+
+// Ajv takes JSON Schema; the OpenAPI extras it doesn't know are ignored
+function createAjv(options) {
+  const ajv = new Ajv({ strict: false, allErrors: true, unicodeRegExp: false, ...options });
+  addFormats(ajv);
+  return ajv;
+}
+
+// Inlines every $ref (the document has no cycles)
+function dereference(spec, value) {
+  if (Array.isArray(value)) {
+    return value.map(item => dereference(spec, item));
+  }
+  if (!value || typeof value !== 'object') {
+    return value;
+  }
+  if (typeof value.$ref === 'string') {
+    const target = value.$ref.slice(2).split('/').reduce((node, key) => node[key], spec);
+    return dereference(spec, target);
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, dereference(spec, item)]));
+}
+
+function formatErrors(where, errors) {
+  return errors.map(error => `${where}${error.instancePath} ${error.message}`);
+}
+
+function createSpecValidator(spec, { mode = resolveMode(), logger }) {
+  const document = dereference(spec, spec);
+  // Request values arrive as strings (query, headers, form bodies) and are
+  // compared after coercion; responses are compared as sent
+  const requestAjv = createAjv({ coerceTypes: 'array' });
+  const responseAjv = createAjv();
+  const compiled = new Map();
+
+  function compile(ajv, schema, key) {
+    const cacheKey = `${ajv === requestAjv ? 'request' : 'response'} ${key}`;
+    if (!compiled.has(cacheKey)) {
+      compiled.set(cacheKey, ajv.compile(schema));
+    }
+    return compiled.get(cacheKey);
+  }
+
+  // Literal paths first, so /api/contacts/export isn't taken for /api/contacts/{id}
+  const routes = Object.entries(document.paths)
+    .flatMap(([path, item]) => METHODS.filter(method => item[method]).map(method => {
+      const names = [...path.matchAll(/\{([^}]+)\}/g)].map(match => match[1]);
+      const pattern = path.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\\?\{[^}]+\\?\}/g, '([^/]+)');
+      return {
+        method: method.toUpperCase(),
+        path,
+        names,
+        regex: new RegExp(`^${pattern}/?$`),
+        operation: item[method],
+        parameters: [...(item.parameters || []), ...(item[method].parameters || [])]
+      };
+    }))
+    .sort((a, b) => a.names.length - b.names.length);
+
+  function findRoute(method, path) {
+    for (const route of routes) {
+      const match = route.method === method && route.regex.exec(path);
+      if (match) {
+        const params = Object.fromEntries(route.names.map((name, i) => [name, decodeURIComponent(match[i + 1])]));
+        return { route, params };
+      }
+    }
+    return null;
+  }
+
+  function requestBodySchema(route, req) {
+    const content = route.operation.requestBody.content;
+    const type = Object.keys(content).find(mediaType => req.is(mediaType));
+    if (!type) {
+      return null;
+    }
+
+    // The form a submission went to, as loaded by loadForm
+    if (SUBMISSION_OPERATIONS.includes(route.operation.operationId) && req.form) {
+      const key = `form ${req.form.id} ${JSON.stringify(req.form.fields)}`;
+      return { key, schema: submissionSchema(req.form.fields) };
+    }
+    return { key: `${route.path} ${route.method} ${type}`, schema: content[type].schema };
+  }
+
+  function checkRequest(route, params, req) {
+    const problems = [];
+
+    for (const parameter of route.parameters) {
+      const source = { path: params, query: req.query, header: { get: name => req.get(name) } }[parameter.in];
+      const value = parameter.in === 'header' ? source.get(parameter.name) : source && source[parameter.name];
+      if (value === undefined) {
+        if (parameter.required) {
+          problems.push(`${parameter.in} parameter ${parameter.name} is required`);
+        }
+        continue;
+      }
+
+      // Wrapped, as Ajv only coerces values inside an object
+      const validate = compile(requestAjv, { type: 'object', properties: { value: parameter.schema } },
+        `${route.method} ${route.path} ${parameter.in} ${parameter.name}`);
+      if (!validate({ value: structuredClone(value) })) {
+        problems.push(...validate.errors.map(error => `${parameter.in} parameter ${parameter.name} ${error.message}`));
+      }
+    }
+
+    const requestBody = route.operation.requestBody;
+    if (requestBody) {
+      const body = requestBodySchema(route, req);
+      if (!body) {
+        if (requestBody.required) {
+          problems.push(`request body must be one of: ${Object.keys(requestBody.content).join(', ')}`);
+        }
+      } else {
+        // Uploaded files are checked by field name, like any other field
+        const data = structuredClone(req.body || {});
+        for (const file of req.files || []) {
+          data[file.fieldname] = [...(data[file.fieldname] || []), file.originalname];
+        }
+        const validate = compile(requestAjv, body.schema, body.key);
+        if (!validate(data)) {
+          problems.push(...formatErrors('request body', validate.errors));
+        }
+      }
+    }
+
+    return problems;
+  }
+
+  function checkResponse(route, status, body) {
+    const response = route.operation.responses[status] || route.operation.responses.default;
+    if (!response) {
+      return [`status ${status} is not documented`];
+    }
+    if (body === undefined) {
+      return [];
+    }
+
+    const schema = response.content && response.content['application/json'] && response.content['application/json'].schema;
+    if (!schema) {
+      return [`status ${status} is not documented as JSON`];
+    }
+    const validate = compile(responseAjv, schema, `${route.method} ${route.path} ${status}`);
+    // Compared as it goes over the wire (Dates become strings, undefined goes away)
+    return validate(JSON.parse(JSON.stringify(body))) ? [] : formatErrors('response body', validate.errors);
+  }
+
+  return (req, res, next) => {
+    const found = findRoute(req.method, req.path);
+    let checked = false;
+
+    const check = (body) => {
+      checked = true;
+      if (!found) {
+        return [];
+      }
+      const { route, params } = found;
+      const status = res.statusCode;
+      const requestProblems = checkRequest(route, params, req);
+      const problems = checkResponse(route, status, body);
+
+      if (status < 400 && requestProblems.length > 0) {
+        problems.push(`request was accepted but does not match the spec: ${requestProblems.join('; ')}`);
+      }
+      if (status === 400 && requestProblems.length === 0 && body && body.code === 'validation_failed') {
+        const messages = (body.details || []).map(detail => `${detail.path}: ${detail.msg}`);
+        problems.push(`request matches the spec but failed validation: ${messages.join('; ')}`);
+      }
+      return problems;
+    };
+
+    const report = (problems, route) => {
+      logger.warn(`OpenAPI mismatch: ${req.method} ${route} -> ${res.statusCode}: ${problems.join('; ')}`);
+    };
+
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      const problems = check(body);
+      if (problems.length === 0) {
+        return json(body);
+      }
+
+      report(problems, found.route.path);
+      if (mode === 'strict') {
+        res.status(500);
+        return json({ error: 'Request or response does not match the API spec', details: problems });
+      }
+      return json(body);
+    };
+
+    // Streams, files and text (exports, attachments, /metrics) are only
+    // checked for a documented status; unmatched routes only once a route
+    // handled them, so plain 404s aren't reported
+    res.on('finish', () => {
+      if (checked) {
+        return;
+      }
+      if (found) {
+        const problems = check(undefined);
+        if (problems.length > 0) {
+          report(problems, found.route.path);
+        }
+      } else if (req.route) {
+        report(['route is not documented'], `${req.baseUrl}${req.route.path}`);
+      }
+    });
+
+    next();
+  };
+}
+
+module.exports = {
+  MODES,
+  resolveMode,
+  createSpecValidator
+};
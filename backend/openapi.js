@@ -0,0 +1,1072 @@
+const { FIELD_TYPES, TEL_PATTERN, optionValues } = require('./schema');
+const workflow = require('./workflow');
+const auth = require('./auth');
+const webhooks = require('./webhooks');
+const exporter = require('./export');
+const listing = require('./listing');
+const attachments = require('./attachments');
+const spam = require('./spam');
+const i18n = require('./i18n');
+const { LEVELS } = require('./logger');
+const { version } = require('./package.json');
+
+// The API contract as an OpenAPI 3 document, served at /api/openapi.json and
+// used by openapi-validator.js to check traffic in development. Enums come
+// from the modules that enforce them, and submission bodies are generated
+// from form fields, so the document follows the code rather than a copy of it.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const nullable = schema => ({ ...schema, nullable: true });
+const timestamp = { type: 'string', format: 'date-time' };
+const id = { type: 'integer', minimum: 1 };
+const json = schema => ({ 'application/json': { schema } });
+
+// Objects list every property they may have; anything else is drift
+function object(properties, required = Object.keys(properties)) {
+  return { type: 'object', properties, required, additionalProperties: false };
+}
+
+function success(data, extra = {}) {
+  return object({ success: { type: 'boolean', enum: [true] }, ...extra, data }, ['success', 'data', ...Object.keys(extra)]);
+}
+
+function ok(description, data, extra) {
+  return { description, content: json(success(data, extra)) };
+}
+
+const errorResponse = name => ({ $ref: `#/components/responses/${name}` });
+
+function pathParam(name, description, schema = id) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+function queryParam(name, description, schema = { type: 'string' }) {
+  return { name, in: 'query', required: false, description, schema };
+}
+
+// JSON Schema for a submission to a form with these fields, mirroring
+// fieldChain() in schema.js. Values may arrive as strings (multipart and
+// urlencoded bodies), so numbers and booleans are checked after coercion.
+function submissionSchema(fields) {
+  const properties = {};
+  const required = [];
+
+  for (const field of fields) {
+    const description = field.label || field.name;
+    let schema;
+
+    switch (field.type) {
+      case 'file':
+        schema = {
+          type: 'array',
+          items: { type: 'string', format: 'binary' },
+          maxItems: field.maxFiles || attachments.MAX_FILES,
+          description: `${description}. Accepted types: ${(field.accept || attachments.ALLOWED_TYPES).join(', ')}`
+        };
+        break;
+      case 'checkbox':
+        schema = field.required
+          ? { enum: [true, 'true', 'on'], description }
+          : { anyOf: [{ type: 'boolean' }, { type: 'string', enum: ['', 'true', 'false', 'on', '1', '0'] }], description };
+        break;
+      case 'number':
+        schema = { type: 'number', minimum: field.min, maximum: field.max, description };
+        break;
+      case 'select':
+        schema = { type: 'string', enum: optionValues(field), description };
+        break;
+      default:
+        schema = {
+          type: 'string',
+          minLength: field.required ? Math.max(field.minLength || 0, 1) : field.minLength,
+          maxLength: field.maxLength,
+          format: field.type === 'email' ? 'email' : undefined,
+          pattern: field.pattern !== undefined ? field.pattern : field.type === 'tel' ? TEL_PATTERN.source : undefined,
+          description: field.type === 'date' ? `${description} (ISO 8601)` : description
+        };
+    }
+    schema = JSON.parse(JSON.stringify(schema));
+
+    // Optional fields may also be sent empty
+    if (field.required) {
+      required.push(field.name);
+    } else if (field.type !== 'file' && field.type !== 'checkbox') {
+      schema = { anyOf: [schema, { type: 'string', maxLength: 0 }], description };
+    }
+    properties[field.name] = schema;
+  }
+
+  properties[spam.HONEYPOT_FIELD] = { type: 'string', description: 'Honeypot; leave empty' };
+  properties[spam.TOKEN_FIELD] = { type: 'string', description: 'Token from the challenge endpoint' };
+  properties[spam.SOLUTION_FIELD] = { type: 'string', description: 'Proof-of-work solution for the challenge' };
+
+  return { type: 'object', properties, required };
+}
+
+function submissionBody(schema) {
+  return {
+    required: true,
+    content: {
+      'application/json': { schema },
+      'application/x-www-form-urlencoded': { schema },
+      'multipart/form-data': { schema }
+    }
+  };
+}
+
+const submissionHeaders = [
+  {
+    name: 'Idempotency-Key',
+    in: 'header',
+    required: false,
+    description: 'Retries with the same key get the first response again (Idempotent-Replayed: true)',
+    schema: { type: 'string', minLength: 1, maxLength: 255 }
+  },
+  {
+    name: 'X-Client-Submission-Id',
+    in: 'header',
+    required: false,
+    description: 'Client-generated ID; a repeat of a stored submission is answered with duplicate: true',
+    schema: { type: 'string', format: 'uuid' }
+  },
+  { $ref: '#/components/parameters/AcceptLanguage' }
+];
+
+function submissionResponses() {
+  return {
+    201: ok('Submission stored', ref('Submission'), { message: { type: 'string' } }),
+    200: {
+      description: 'Repeat of a stored submission; nothing new was stored',
+      content: json(success(ref('Submission'), { duplicate: { type: 'boolean', enum: [true] }, message: { type: 'string' } }))
+    },
+    400: { description: 'Invalid submission', content: json(ref('SubmissionError')) },
+    404: errorResponse('NotFound'),
+    409: errorResponse('Conflict'),
+    413: { description: 'Attachment too large', content: json(ref('SubmissionError')) },
+    422: errorResponse('UnprocessableEntity')
+  };
+}
+
+const contactFilters = [
+  queryParam('q', 'Full-text search over name, email and message: words, "phrases", prefix*, -excluded, a OR b', { type: 'string', maxLength: 200 }),
+  queryParam('form', 'Form slug', { type: 'string', maxLength: 64 }),
+  queryParam('email', 'Exact email address', { type: 'string', maxLength: 255 }),
+  queryParam('status', `Comma-separated statuses (${workflow.STATUSES.join(', ')})`,
+    { type: 'string', pattern: `^(${workflow.STATUSES.join('|')})(,(${workflow.STATUSES.join('|')}))*$` }),
+  queryParam('assignee', 'Assignee, or "none" for unassigned contacts', { type: 'string', maxLength: 100 }),
+  queryParam('startDate', 'Created at or after (ISO 8601)'),
+  queryParam('endDate', 'Created at or before (ISO 8601)'),
+  queryParam('quarantined', 'Suspected spam: hidden by default', { type: 'string', enum: ['true', 'false', 'all'], default: 'false' })
+];
+
+function scoped(scope, operation) {
+  return {
+    ...operation,
+    description: [operation.description, `Requires scope \`${scope}\`.`].filter(Boolean).join('\n\n'),
+    security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+    responses: {
+      ...operation.responses,
+      401: errorResponse('Unauthorized'),
+      403: errorResponse('Forbidden')
+    }
+  };
+}
+
+const schemas = {
+  Error: {
+    type: 'object',
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' },
+      details: { description: 'More about the error; only in development for server errors' },
+      requestId: { type: 'string', description: 'X-Request-Id of the request, for finding it in the logs' }
+    },
+    required: ['error'],
+    additionalProperties: false
+  },
+  ValidationIssue: {
+    type: 'object',
+    properties: {
+      type: { type: 'string' },
+      msg: { type: 'string' },
+      path: { type: 'string' },
+      location: { type: 'string', enum: ['body', 'query', 'params', 'headers', 'cookies', 'files'] },
+      value: {},
+      code: { type: 'string', description: 'Stable error code (submissions only)' }
+    },
+    required: ['msg']
+  },
+  ValidationError: object({
+    error: { type: 'string', enum: ['Validation failed'] },
+    details: { type: 'array', items: ref('ValidationIssue') },
+    requestId: { type: 'string' }
+  }, ['error', 'details']),
+  SubmissionError: {
+    type: 'object',
+    description: 'Messages follow Accept-Language; `code` and each detail\'s `code` are stable',
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' },
+      details: { oneOf: [{ type: 'array', items: ref('ValidationIssue') }, { type: 'string' }] },
+      requestId: { type: 'string' }
+    },
+    required: ['error', 'code'],
+    additionalProperties: false
+  },
+  TransitionError: object({
+    error: { type: 'string' },
+    allowed: { type: 'array', items: { type: 'string', enum: workflow.STATUSES } },
+    requestId: { type: 'string' }
+  }, ['error', 'allowed']),
+  Pagination: object({
+    page: { type: 'integer', description: 'Paging by number only' },
+    limit: { type: 'integer' },
+    total: { type: 'integer', description: 'Paging by number only' },
+    totalPages: { type: 'integer', description: 'Paging by number only' },
+    next: nullable({ type: 'string', description: 'Cursor for the following page; null on the last page and when ordered by relevance' }),
+    prev: nullable({ type: 'string', description: 'Cursor for the preceding page; null on the first page and when ordered by relevance' })
+  }, ['limit', 'next', 'prev']),
+  FormField: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', pattern: '^[a-zA-Z][a-zA-Z0-9_]*$' },
+      type: { type: 'string', enum: FIELD_TYPES },
+      label: { type: 'string' },
+      required: { type: 'boolean' },
+      minLength: { type: 'integer' },
+      maxLength: { type: 'integer' },
+      min: { type: 'number' },
+      max: { type: 'number' },
+      pattern: { type: 'string' },
+      patternMessage: { type: 'string' },
+      options: { type: 'array', items: { oneOf: [{ type: 'string' }, { type: 'object', properties: { value: {}, label: { type: 'string' } } }] } },
+      accept: { type: 'array', items: { type: 'string' } },
+      maxFiles: { type: 'integer' },
+      maxSize: { type: 'integer' },
+      placeholder: { type: 'string' },
+      autocomplete: { type: 'string' }
+    },
+    required: ['name', 'type']
+  },
+  FormSchema: object({ fields: { type: 'array', items: ref('FormField') } }),
+  PublicForm: object({
+    slug: { type: 'string' },
+    title: { type: 'string' },
+    fields: { type: 'array', items: ref('FormField') },
+    successMessage: nullable({ type: 'string' })
+  }),
+  AdminForm: object({
+    id,
+    slug: { type: 'string' },
+    title: { type: 'string' },
+    fields: { type: 'array', items: ref('FormField') },
+    successMessage: nullable({ type: 'string' }),
+    notifyEmails: { type: 'array', items: { type: 'string', format: 'email' } },
+    created_at: timestamp,
+    updated_at: timestamp
+  }),
+  FormInput: {
+    type: 'object',
+    properties: {
+      slug: { type: 'string', pattern: '^[a-z0-9][a-z0-9-]{0,63}$', description: 'Required on create; ignored on update' },
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      fields: { type: 'array', minItems: 1, items: ref('FormField') },
+      successMessage: nullable({ type: 'string', maxLength: 500 }),
+      notifyEmails: { type: 'array', items: { type: 'string', format: 'email' } }
+    },
+    required: ['title', 'fields']
+  },
+  Challenge: object({
+    token: { type: 'string' },
+    challenge: { type: 'string' },
+    difficulty: { type: 'integer', description: 'Leading zero bits required of sha256(`${challenge}:${solution}`)' },
+    issuedAt: timestamp,
+    expiresAt: timestamp
+  }),
+  Attachment: object({
+    id,
+    field: { type: 'string' },
+    filename: { type: 'string' },
+    content_type: { type: 'string' },
+    size: { type: 'integer' },
+    created_at: timestamp
+  }),
+  Submission: object({
+    id,
+    name: { type: 'string' },
+    email: { type: 'string' },
+    fields: { type: 'object' },
+    created_at: timestamp,
+    form: { type: 'string' },
+    attachments: { type: 'array', items: ref('Attachment') }
+  }),
+  ContactSummary: {
+    ...object({
+      id,
+      form: nullable({ type: 'string' }),
+      name: { type: 'string' },
+      email: { type: 'string' },
+      message: { type: 'string' },
+      fields: { type: 'object' },
+      status: { type: 'string', enum: workflow.STATUSES },
+      assignee: nullable({ type: 'string' }),
+      spam_score: { type: 'integer' },
+      quarantined: { type: 'boolean' },
+      created_at: timestamp,
+      updated_at: timestamp,
+      rank: { type: 'number', description: 'Search relevance (with ?q=)' },
+      snippet: { type: 'string', description: 'Matching excerpt of the message with <mark> highlights (with ?q=)' }
+    }, []),
+    description: `The fields picked with ?fields= (default: ${listing.DEFAULT_FIELDS.join(',')})`
+  },
+  Note: object({ id, author: { type: 'string' }, body: { type: 'string' }, created_at: timestamp }),
+  StatusChange: object({
+    from_status: { type: 'string', enum: workflow.STATUSES },
+    to_status: { type: 'string', enum: workflow.STATUSES },
+    changed_by: { type: 'string' },
+    created_at: timestamp
+  }),
+  Contact: object({
+    id,
+    form: nullable({ type: 'string' }),
+    name: { type: 'string' },
+    email: { type: 'string' },
+    message: { type: 'string' },
+    fields: { type: 'object' },
+    status: { type: 'string', enum: workflow.STATUSES },
+    assignee: nullable({ type: 'string' }),
+    spam_score: { type: 'integer' },
+    spam_reasons: { type: 'array', items: { type: 'string' } },
+    quarantined: { type: 'boolean' },
+    created_at: timestamp,
+    updated_at: timestamp,
+    attachments: { type: 'array', items: ref('Attachment') },
+    notes: { type: 'array', items: ref('Note') },
+    history: { type: 'array', items: ref('StatusChange') }
+  }),
+  ContactUpdate: {
+    type: 'object',
+    description: 'At least one of status, assignee and note',
+    properties: {
+      status: { type: 'string', enum: workflow.STATUSES, description: 'See workflow.js for the allowed transitions' },
+      assignee: nullable({ type: 'string', minLength: 1, maxLength: 100, description: 'null unassigns' }),
+      note: { type: 'string', minLength: 1, maxLength: 5000 }
+    },
+    minProperties: 1
+  },
+  UpdatedContact: object({
+    id,
+    name: { type: 'string' },
+    email: { type: 'string' },
+    status: { type: 'string', enum: workflow.STATUSES },
+    assignee: nullable({ type: 'string' }),
+    created_at: timestamp,
+    updated_at: timestamp,
+    notes: { type: 'array', items: ref('Note') },
+    history: { type: 'array', items: ref('StatusChange') }
+  }),
+  ContactRef: object({ id, email: { type: 'string' } }),
+  Erasure: object({
+    id,
+    email_hash: { type: 'string', description: 'SHA-256 of the normalized address' },
+    contact_ids: { type: 'array', items: { type: 'integer' } },
+    attachments_erased: { type: 'integer' },
+    deliveries_erased: { type: 'integer' },
+    reason: nullable({ type: 'string' }),
+    requested_by: { type: 'string' },
+    created_at: timestamp
+  }),
+  SubjectData: object({
+    email: { type: 'string' },
+    generated_at: timestamp,
+    contacts: {
+      type: 'array',
+      items: object({
+        id,
+        form: nullable({ type: 'string' }),
+        name: { type: 'string' },
+        email: { type: 'string' },
+        message: { type: 'string' },
+        fields: { type: 'object' },
+        status: { type: 'string', enum: workflow.STATUSES },
+        assignee: nullable({ type: 'string' }),
+        spam_score: { type: 'integer' },
+        spam_reasons: { type: 'array', items: { type: 'string' } },
+        quarantined: { type: 'boolean' },
+        ip_address: nullable({ type: 'string' }),
+        user_agent: nullable({ type: 'string' }),
+        created_at: timestamp,
+        updated_at: timestamp,
+        attachments: { type: 'array', items: ref('Attachment') },
+        notes: { type: 'array', items: ref('Note') },
+        history: { type: 'array', items: ref('StatusChange') }
+      })
+    },
+    notifications: {
+      type: 'array',
+      items: object({
+        id,
+        contact_id: nullable({ type: 'integer' }),
+        recipients: { type: 'array', items: { type: 'string' } },
+        template: { type: 'string' },
+        status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+        created_at: timestamp,
+        sent_at: nullable(timestamp)
+      })
+    },
+    webhook_deliveries: {
+      type: 'array',
+      items: object({
+        id,
+        webhook_url: { type: 'string' },
+        event: { type: 'string', enum: webhooks.EVENTS },
+        payload: ref('WebhookEvent'),
+        status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+        created_at: timestamp,
+        delivered_at: nullable(timestamp)
+      })
+    },
+    erasures: { type: 'array', items: ref('Erasure') }
+  }),
+  Notification: object({
+    id,
+    contact_id: nullable({ type: 'integer' }),
+    recipients: { type: 'array', items: { type: 'string' } },
+    template: { type: 'string' },
+    status: { type: 'string', enum: ['pending', 'sent', 'failed'] },
+    attempts: { type: 'integer' },
+    last_error: nullable({ type: 'string' }),
+    next_attempt_at: nullable(timestamp),
+    created_at: timestamp,
+    sent_at: nullable(timestamp)
+  }),
+  Webhook: object({
+    id,
+    url: { type: 'string' },
+    events: { type: 'array', items: { type: 'string', enum: webhooks.EVENTS } },
+    description: nullable({ type: 'string' }),
+    active: { type: 'boolean' },
+    created_at: timestamp,
+    updated_at: timestamp,
+    secret: { type: 'string', description: 'Signing secret; only returned on create and rotation' }
+  }, ['id', 'url', 'events', 'description', 'active', 'created_at', 'updated_at']),
+  WebhookInput: {
+    type: 'object',
+    properties: {
+      url: { type: 'string', description: 'http(s) URL; required on create' },
+      events: { type: 'array', minItems: 1, items: { type: 'string', enum: webhooks.EVENTS }, description: 'Required on create' },
+      description: nullable({ type: 'string', maxLength: 200 }),
+      active: { type: 'boolean' },
+      secret: { type: 'string', minLength: 16, maxLength: 200, description: 'Generated when omitted on create; replaces the secret on update' },
+      rotateSecret: { type: 'boolean', description: 'Update only: issue a new secret' }
+    }
+  },
+  WebhookEvent: object({
+    id: { type: 'string', format: 'uuid' },
+    type: { type: 'string', enum: webhooks.EVENTS },
+    created_at: timestamp,
+    data: { type: 'object' }
+  }),
+  DeliverySummary: object({
+    id,
+    webhook_id: id,
+    event: { type: 'string', enum: webhooks.EVENTS },
+    status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+    attempts: { type: 'integer' },
+    response_status: nullable({ type: 'integer' }),
+    last_error: nullable({ type: 'string' }),
+    next_attempt_at: nullable(timestamp),
+    replay_of: nullable({ type: 'integer' }),
+    created_at: timestamp,
+    delivered_at: nullable(timestamp)
+  }),
+  Delivery: object({
+    id,
+    webhook_id: id,
+    event: { type: 'string', enum: webhooks.EVENTS },
+    payload: ref('WebhookEvent'),
+    status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+    attempts: { type: 'integer' },
+    response_status: nullable({ type: 'integer' }),
+    last_error: nullable({ type: 'string' }),
+    next_attempt_at: nullable(timestamp),
+    replay_of: nullable({ type: 'integer' }),
+    created_at: timestamp,
+    delivered_at: nullable(timestamp),
+    attempt_log: {
+      type: 'array',
+      items: object({
+        attempt: { type: 'integer' },
+        response_status: nullable({ type: 'integer' }),
+        response_body: nullable({ type: 'string' }),
+        error: nullable({ type: 'string' }),
+        duration_ms: nullable({ type: 'integer' }),
+        created_at: timestamp
+      })
+    }
+  }),
+  ApiKey: object({
+    id,
+    name: { type: 'string' },
+    prefix: { type: 'string' },
+    scopes: { type: 'array', items: { type: 'string', enum: auth.SCOPES } },
+    expires_at: nullable(timestamp),
+    last_used_at: nullable(timestamp),
+    revoked_at: nullable(timestamp),
+    created_at: timestamp,
+    key: { type: 'string', description: 'The key itself; only returned on creation' }
+  }, ['id', 'name', 'prefix', 'scopes', 'expires_at', 'last_used_at', 'revoked_at', 'created_at']),
+  ApiKeyInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', minLength: 1, maxLength: 100 },
+      scopes: { type: 'array', minItems: 1, items: { type: 'string', enum: auth.SCOPES }, description: 'At most the scopes of the key making the request' },
+      expiresAt: nullable({ type: 'string', format: 'date-time', description: 'Must be in the future' })
+    },
+    required: ['name', 'scopes']
+  },
+  Health: object({
+    status: { type: 'string', enum: ['healthy', 'unhealthy'] },
+    timestamp,
+    service: { type: 'string' },
+    uptime: { type: 'number' },
+    checks: object({ database: { type: 'string', enum: ['healthy', 'unhealthy', 'not used'] } }, []),
+    databaseError: { type: 'string' }
+  }, ['status', 'timestamp', 'service', 'uptime', 'checks']),
+  DailyCount: object({
+    date: timestamp,
+    total_contacts: { type: 'string', pattern: '^[0-9]+$', description: 'Counts are 64-bit and sent as strings' },
+    unique_emails: { type: 'string', pattern: '^[0-9]+$' },
+    daily_count: { type: 'string', pattern: '^[0-9]+$' }
+  }),
+  LogLevel: object({
+    level: { type: 'string', enum: LEVELS },
+    levels: { type: 'array', items: { type: 'string' } }
+  })
+};
+
+const responses = {
+  BadRequest: { description: 'Invalid parameters or body', content: json(ref('ValidationError')) },
+  Unauthorized: { description: 'Missing or invalid API key', content: json(ref('Error')) },
+  Forbidden: { description: 'The API key lacks the required scope', content: json(ref('Error')) },
+  NotFound: { description: 'Not found', content: json(ref('Error')) },
+  Conflict: { description: 'Conflicts with the current state', content: json(ref('Error')) },
+  UnprocessableEntity: { description: 'Idempotency-Key reused for a different request', content: json(ref('Error')) },
+  TooManyRequests: { description: 'Rate limit exceeded; see the RateLimit headers', content: json(ref('Error')) },
+  ServerError: { description: 'Unexpected error', content: json(ref('Error')) },
+  ServiceUnavailable: { description: 'Not available with DATA_STORE=memory', content: json(ref('Error')) }
+};
+
+function buildPaths(formSchema) {
+  const slug = pathParam('slug', 'Form slug', { type: 'string' });
+  const contactId = pathParam('id', 'Contact ID');
+  const webhookId = pathParam('id', 'Webhook ID');
+  const deliveryId = pathParam('deliveryId', 'Delivery ID');
+  const limit = (byDefault, max) => queryParam('limit', `At most ${max}`, { type: 'integer', minimum: 1, default: byDefault });
+
+  return {
+    '/api/forms': {
+      get: scoped('forms:read', {
+        tags: ['Forms'],
+        operationId: 'listForms',
+        summary: 'List forms',
+        responses: { 200: ok('Forms', { type: 'array', items: ref('AdminForm') }) }
+      }),
+      post: scoped('forms:write', {
+        tags: ['Forms'],
+        operationId: 'createForm',
+        summary: 'Create a form',
+        requestBody: { required: true, content: json({ allOf: [ref('FormInput'), { required: ['slug'] }] }) },
+        responses: {
+          201: ok('Created', ref('AdminForm')),
+          400: errorResponse('BadRequest'),
+          409: errorResponse('Conflict')
+        }
+      })
+    },
+    '/api/forms/{slug}': {
+      parameters: [slug],
+      get: {
+        tags: ['Forms'],
+        operationId: 'getForm',
+        summary: 'Form definition, for rendering it',
+        responses: { 200: ok('Form', ref('PublicForm')), 404: errorResponse('NotFound') }
+      },
+      put: scoped('forms:write', {
+        tags: ['Forms'],
+        operationId: 'updateForm',
+        summary: 'Replace a form definition',
+        requestBody: { required: true, content: json(ref('FormInput')) },
+        responses: {
+          200: ok('Updated', ref('AdminForm')),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/forms/{slug}/challenge': {
+      parameters: [slug],
+      get: {
+        tags: ['Submissions'],
+        operationId: 'getFormChallenge',
+        summary: 'Spam challenge for a submission',
+        responses: { 200: ok('Challenge', ref('Challenge')), 404: errorResponse('NotFound') }
+      }
+    },
+    '/api/forms/{slug}/submissions': {
+      parameters: [slug],
+      post: {
+        tags: ['Submissions'],
+        operationId: 'submitForm',
+        summary: 'Submit a form',
+        description: 'The body holds the form\'s fields (see GET /api/forms/{slug}); files go in a multipart body.',
+        parameters: submissionHeaders,
+        requestBody: submissionBody({
+          type: 'object',
+          description: 'Fields of the form',
+          additionalProperties: true
+        }),
+        responses: submissionResponses()
+      }
+    },
+    '/api/contacts': {
+      post: {
+        tags: ['Submissions'],
+        operationId: 'submitContact',
+        summary: 'Submit the default contact form',
+        parameters: submissionHeaders,
+        requestBody: submissionBody(submissionSchema(formSchema.fields)),
+        responses: submissionResponses()
+      },
+      get: scoped('contacts:read', {
+        tags: ['Contacts'],
+        operationId: 'listContacts',
+        summary: 'List contacts',
+        description: 'Newest first, or best match first with ?q= unless ?sort= is given. '
+          + 'Pages by number with ?page=, or with ?cursor= set to `pagination.next` or `pagination.prev` '
+          + `of a previous page, which stays fast however deep it goes. Pages by number end at ${listing.MAX_OFFSET} contacts in.`,
+        parameters: [
+          ...contactFilters,
+          queryParam('page', 'Page number; not with cursor', { type: 'integer', minimum: 1, default: 1 }),
+          queryParam('limit', `Page size; capped at ${listing.MAX_LIMIT}`, { type: 'integer', minimum: 1, default: listing.DEFAULT_LIMIT }),
+          queryParam('cursor', 'pagination.next or pagination.prev of a page with the same sort'),
+          queryParam('sort', 'Field to order by, descending with a leading -; ties go by id',
+            { type: 'string', enum: listing.SORT_OPTIONS, default: listing.DEFAULT_SORT }),
+          queryParam('fields', `Comma-separated fields (${listing.FIELDS.join(', ')}); default: ${listing.DEFAULT_FIELDS.join(',')}`,
+            { type: 'string', pattern: `^ *(${listing.FIELDS.join('|')}) *(, *(${listing.FIELDS.join('|')}) *)*$` })
+        ],
+        responses: {
+          200: {
+            description: 'A page of contacts',
+            headers: {
+              Link: {
+                description: 'RFC 8288 links to the next, prev, first and (paging by number) last pages',
+                schema: { type: 'string' }
+              }
+            },
+            content: json(success({ type: 'array', items: ref('ContactSummary') }, { pagination: ref('Pagination') }))
+          },
+          400: errorResponse('BadRequest')
+        }
+      })
+    },
+    '/api/contacts/schema': {
+      get: {
+        tags: ['Submissions'],
+        operationId: 'getContactSchema',
+        summary: 'Fields of the default contact form',
+        responses: { 200: ok('Form schema', ref('FormSchema')), 404: errorResponse('NotFound') }
+      }
+    },
+    '/api/contacts/challenge': {
+      get: {
+        tags: ['Submissions'],
+        operationId: 'getContactChallenge',
+        summary: 'Spam challenge for the default contact form',
+        responses: { 200: ok('Challenge', ref('Challenge')), 404: errorResponse('NotFound') }
+      }
+    },
+    '/api/contacts/export': {
+      get: scoped('contacts:export', {
+        tags: ['Contacts'],
+        operationId: 'exportContacts',
+        summary: 'Export every matching contact',
+        description: 'Streamed, not paginated. Takes the same filters as the list.',
+        parameters: [
+          ...contactFilters,
+          queryParam('format', 'File format', { type: 'string', enum: Object.keys(exporter.FORMATS), default: 'csv' }),
+          queryParam('columns', `Comma-separated columns (${Object.keys(exporter.COLUMNS).join(', ')}); default: ${exporter.DEFAULT_COLUMNS.join(',')}`)
+        ],
+        responses: {
+          200: {
+            description: 'The export, as an attachment',
+            content: Object.fromEntries(Object.values(exporter.FORMATS).map(type => [type.split(';')[0], { schema: { type: 'string', format: 'binary' } }]))
+          },
+          400: errorResponse('BadRequest')
+        }
+      })
+    },
+    '/api/contacts/{id}': {
+      parameters: [contactId],
+      get: scoped('contacts:read', {
+        tags: ['Contacts'],
+        operationId: 'getContact',
+        summary: 'A contact with its attachments, notes and status history',
+        parameters: [queryParam('form', 'Only find the contact if it belongs to this form')],
+        responses: { 200: ok('Contact', ref('Contact')), 404: errorResponse('NotFound') }
+      }),
+      patch: scoped('contacts:write', {
+        tags: ['Contacts'],
+        operationId: 'updateContact',
+        summary: 'Change status or assignee, or add a note',
+        requestBody: { required: true, content: json(ref('ContactUpdate')) },
+        responses: {
+          200: ok('Updated', ref('UpdatedContact')),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound'),
+          409: { description: 'Status transition not allowed', content: json(ref('TransitionError')) }
+        }
+      }),
+      delete: scoped('contacts:delete', {
+        tags: ['Contacts'],
+        operationId: 'deleteContact',
+        summary: 'Delete a contact and its attachments',
+        responses: {
+          200: ok('Deleted', ref('ContactRef'), { message: { type: 'string' } }),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/contacts/{id}/attachments/{attachmentId}': {
+      parameters: [contactId, pathParam('attachmentId', 'Attachment ID')],
+      get: scoped('contacts:read', {
+        tags: ['Contacts'],
+        operationId: 'downloadAttachment',
+        summary: 'Download an attachment',
+        responses: {
+          200: { description: 'The file, with its stored content type', content: { '*/*': { schema: { type: 'string', format: 'binary' } } } },
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/contacts/{id}/release': {
+      parameters: [contactId],
+      post: scoped('contacts:write', {
+        tags: ['Contacts'],
+        operationId: 'releaseContact',
+        summary: 'Release a quarantined contact',
+        description: 'Notifications and webhooks go out as if it had just arrived.',
+        responses: {
+          200: ok('Released', ref('ContactRef'), { message: { type: 'string' } }),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/privacy/subjects': {
+      get: scoped('privacy:manage', {
+        tags: ['Privacy'],
+        operationId: 'getSubjectData',
+        summary: 'Everything held for an email address',
+        parameters: [{ name: 'email', in: 'query', required: true, schema: { type: 'string', format: 'email' } }],
+        responses: { 200: ok('Subject data, as an attachment', ref('SubjectData')), 400: errorResponse('BadRequest') }
+      })
+    },
+    '/api/privacy/erasures': {
+      get: scoped('privacy:manage', {
+        tags: ['Privacy'],
+        operationId: 'listErasures',
+        summary: 'Erasure audit trail, newest first',
+        parameters: [limit(100, 500)],
+        responses: { 200: ok('Erasures', { type: 'array', items: ref('Erasure') }) }
+      }),
+      post: scoped('privacy:manage', {
+        tags: ['Privacy'],
+        operationId: 'eraseSubject',
+        summary: 'Erase everything held for an email address',
+        requestBody: {
+          required: true,
+          content: json({
+            type: 'object',
+            properties: { email: { type: 'string', format: 'email' }, reason: { type: 'string', maxLength: 500 } },
+            required: ['email']
+          })
+        },
+        responses: { 201: ok('Erased', ref('Erasure')), 400: errorResponse('BadRequest') }
+      })
+    },
+    '/api/notifications': {
+      get: scoped('notifications:manage', {
+        tags: ['Notifications'],
+        operationId: 'listNotifications',
+        summary: 'Notification outbox, newest first',
+        parameters: [queryParam('status', 'Job status', { type: 'string', enum: ['pending', 'sent', 'failed'] }), limit(50, 200)],
+        responses: { 200: ok('Notifications', { type: 'array', items: ref('Notification') }) }
+      })
+    },
+    '/api/notifications/{id}/retry': {
+      parameters: [pathParam('id', 'Notification ID')],
+      post: scoped('notifications:manage', {
+        tags: ['Notifications'],
+        operationId: 'retryNotification',
+        summary: 'Queue a failed notification again',
+        responses: {
+          200: ok('Queued', object({ id, status: { type: 'string', enum: ['pending'] } })),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/webhooks': {
+      get: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'listWebhooks',
+        summary: 'List webhook subscriptions',
+        responses: { 200: ok('Webhooks', { type: 'array', items: ref('Webhook') }) }
+      }),
+      post: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'createWebhook',
+        summary: 'Subscribe to events',
+        requestBody: { required: true, content: json({ allOf: [ref('WebhookInput'), { required: ['url', 'events'] }] }) },
+        responses: { 201: ok('Created; includes the secret', ref('Webhook')), 400: errorResponse('BadRequest') }
+      })
+    },
+    '/api/webhooks/{id}': {
+      parameters: [webhookId],
+      get: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'getWebhook',
+        summary: 'A webhook subscription',
+        responses: { 200: ok('Webhook', ref('Webhook')), 404: errorResponse('NotFound') }
+      }),
+      patch: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'updateWebhook',
+        summary: 'Change a subscription or rotate its secret',
+        requestBody: { required: true, content: json(ref('WebhookInput')) },
+        responses: {
+          200: ok('Updated', ref('Webhook')),
+          400: errorResponse('BadRequest'),
+          404: errorResponse('NotFound')
+        }
+      }),
+      delete: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'deleteWebhook',
+        summary: 'Delete a subscription and its deliveries',
+        responses: {
+          200: ok('Deleted', object({ id, url: { type: 'string' } }), { message: { type: 'string' } }),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/webhooks/{id}/deliveries': {
+      parameters: [webhookId],
+      get: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'listDeliveries',
+        summary: 'Delivery log, newest first',
+        parameters: [queryParam('status', 'Delivery status', { type: 'string', enum: ['pending', 'delivered', 'failed'] }), limit(50, 200)],
+        responses: { 200: ok('Deliveries', { type: 'array', items: ref('DeliverySummary') }) }
+      })
+    },
+    '/api/webhooks/{id}/deliveries/{deliveryId}': {
+      parameters: [webhookId, deliveryId],
+      get: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'getDelivery',
+        summary: 'A delivery with its payload and attempts',
+        responses: { 200: ok('Delivery', ref('Delivery')), 404: errorResponse('NotFound') }
+      })
+    },
+    '/api/webhooks/{id}/deliveries/{deliveryId}/replay': {
+      parameters: [webhookId, deliveryId],
+      post: scoped('webhooks:manage', {
+        tags: ['Webhooks'],
+        operationId: 'replayDelivery',
+        summary: 'Send a delivery\'s payload again, as a new delivery',
+        responses: {
+          202: ok('Queued', object({
+            id,
+            webhook_id: id,
+            event: { type: 'string', enum: webhooks.EVENTS },
+            status: { type: 'string', enum: ['pending'] },
+            replay_of: id,
+            created_at: timestamp
+          })),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/keys': {
+      get: scoped('keys:manage', {
+        tags: ['API keys'],
+        operationId: 'listApiKeys',
+        summary: 'List API keys',
+        responses: { 200: ok('API keys', { type: 'array', items: ref('ApiKey') }) }
+      }),
+      post: scoped('keys:manage', {
+        tags: ['API keys'],
+        operationId: 'createApiKey',
+        summary: 'Create an API key',
+        requestBody: { required: true, content: json(ref('ApiKeyInput')) },
+        responses: { 201: ok('Created; includes the key', ref('ApiKey')), 400: errorResponse('BadRequest') }
+      })
+    },
+    '/api/keys/{id}': {
+      parameters: [pathParam('id', 'API key ID')],
+      delete: scoped('keys:manage', {
+        tags: ['API keys'],
+        operationId: 'revokeApiKey',
+        summary: 'Revoke an API key',
+        responses: {
+          200: ok('Revoked', ref('ApiKey'), { message: { type: 'string' } }),
+          404: errorResponse('NotFound')
+        }
+      })
+    },
+    '/api/health': {
+      get: {
+        tags: ['Operations'],
+        operationId: 'getHealth',
+        summary: 'Health check',
+        responses: {
+          200: { description: 'Healthy', content: json(ref('Health')) },
+          503: { description: 'Unhealthy', content: json(ref('Health')) }
+        }
+      }
+    },
+    '/api/metrics': {
+      get: scoped('metrics:read', {
+        tags: ['Operations'],
+        operationId: 'getSubmissionCounts',
+        summary: 'Daily submission counts for the last 30 days',
+        parameters: [queryParam('form', 'Form slug')],
+        responses: { 200: ok('Counts per day, newest first', { type: 'array', items: ref('DailyCount') }) }
+      })
+    },
+    '/api/log-level': {
+      get: scoped('logs:manage', {
+        tags: ['Operations'],
+        operationId: 'getLogLevel',
+        summary: 'Current log level',
+        responses: { 200: ok('Log level', ref('LogLevel')) }
+      }),
+      put: scoped('logs:manage', {
+        tags: ['Operations'],
+        operationId: 'setLogLevel',
+        summary: 'Change the log level of this process',
+        requestBody: {
+          required: true,
+          content: json(object({ level: { type: 'string', enum: LEVELS } }))
+        },
+        responses: { 200: ok('Log level', ref('LogLevel')), 400: errorResponse('BadRequest') }
+      })
+    },
+    '/api/openapi.json': {
+      get: {
+        tags: ['Operations'],
+        operationId: 'getOpenApi',
+        summary: 'This document',
+        responses: { 200: { description: 'OpenAPI document', content: json({ type: 'object' }) } }
+      }
+    },
+    '/api/docs': {
+      get: {
+        tags: ['Operations'],
+        operationId: 'getDocs',
+        summary: 'This document, rendered with Swagger UI',
+        responses: {
+          200: { description: 'HTML page', content: { 'text/html': { schema: { type: 'string' } } } },
+          301: { description: 'Redirect to /api/docs/' }
+        }
+      }
+    },
+    '/metrics': {
+      get: scoped('metrics:read', {
+        tags: ['Operations'],
+        operationId: 'getPrometheusMetrics',
+        summary: 'Prometheus metrics',
+        responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+      })
+    }
+  };
+}
+
+// Responses every /api operation can give: the rate limiter (429), the
+// error handler (500) and, with DATA_STORE=memory, most routes (503)
+function addCommonResponses(paths) {
+  for (const [path, item] of Object.entries(paths)) {
+    for (const [method, operation] of Object.entries(item)) {
+      if (method === 'parameters') {
+        continue;
+      }
+      operation.responses = {
+        ...operation.responses,
+        ...(path.startsWith('/api/') ? { 429: errorResponse('TooManyRequests') } : {}),
+        500: errorResponse('ServerError'),
+        ...(path.startsWith('/api/') && !operation.responses[503] ? { 503: errorResponse('ServiceUnavailable') } : {})
+      };
+    }
+  }
+  return paths;
+}
+
+// `formSchema` (the default form, as in form-schema.json) describes the body
+// of POST /api/contacts
+function buildSpec({ formSchema }) {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Contact Form API',
+      version,
+      description: 'Submissions are public. Everything else takes an API key (Authorization: Bearer, or X-API-Key) '
+        + 'with the scope named on each operation.\n\n'
+        + 'Errors are JSON: `{ error, details?, code?, requestId }`. `requestId` matches the X-Request-Id response header.'
+    },
+    tags: ['Submissions', 'Forms', 'Contacts', 'Privacy', 'Notifications', 'Webhooks', 'API keys', 'Operations'].map(name => ({ name })),
+    paths: addCommonResponses(buildPaths(formSchema)),
+    components: {
+      schemas,
+      responses,
+      parameters: {
+        AcceptLanguage: {
+          name: 'Accept-Language',
+          in: 'header',
+          required: false,
+          description: `Language of validation messages (${i18n.LANGUAGES.join(', ')})`,
+          schema: { type: 'string' }
+        }
+      },
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key (cfk_...) or the root ADMIN_API_KEY' },
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+      }
+    }
+  };
+}
+
+// Swagger UI page for /api/docs/; its assets are served from swagger-ui-dist
+// next to it, and the document one level up
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Contact Form API</title>
+  <link rel="stylesheet" href="swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: '../openapi.json', dom_id: '#swagger-ui', deepLinking: true });
+  </script>
+</body>
+</html>
+`;
+
+module.exports = {
+  DOCS_PAGE,
+  buildSpec,
+  submissionSchema
+};
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const net = require('net');
+const { body, query, validationResult } = require('express-validator');
+const attachments = require('./attachments');
+const webhooks = require('./webhooks');
+const workflow = require('./workflow');
+const { startPollingWorker } = require('./worker');
+
+// Retention policy. 0 (the default) keeps data forever.
+const ANONYMIZE_AFTER_DAYS = parseInt(process.env.RETENTION_ANONYMIZE_DAYS) || 0;
+const DELETE_AFTER_DAYS = parseInt(process.env.RETENTION_DELETE_DAYS) || 0;
+const RETENTION_INTERVAL_MS = parseInt(process.env.RETENTION_INTERVAL_MS) || 60 * 60 * 1000;
+const RETENTION_BATCH_SIZE = 500;
+
+// IP_TRUNCATE=true stores IPv4 addresses as /24 and IPv6 as /48
+const TRUNCATE_IP = process.env.IP_TRUNCATE === 'true';
+
+const CONTACT_COLUMNS = `c.id, f.slug AS form, c.name, c.email, c.message, c.fields, c.status, c.assignee,
+  c.spam_score, c.spam_reasons, c.quarantined, host(c.ip_address) AS ip_address, c.user_agent,
+  c.created_at, c.updated_at`;
+
+// Tombstones identify the subject by an HMAC of the address under
+// PRIVACY_HASH_SECRET, never by the address itself. A plain hash could be
+// reversed by hashing candidate addresses.
+const HASH_SECRET = process.env.PRIVACY_HASH_SECRET || '';
+
+function normalizeEmail(email) {
+  return String(email).trim().toLowerCase();
+}
+
+function hashEmail(email) {
+  if (!HASH_SECRET) {
+    throw new Error('PRIVACY_HASH_SECRET is not set');
+  }
+  return crypto.createHmac('sha256', HASH_SECRET).update(normalizeEmail(email)).digest('hex');
+}
+
+// Hashes a tombstone for `email` may carry: the HMAC, and the unkeyed SHA-256
+// that tombstones written before PRIVACY_HASH_SECRET used
+function emailHashes(email) {
+  const hashes = [crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex')];
+  if (HASH_SECRET) {
+    hashes.unshift(hashEmail(email));
+  }
+  return hashes;
+}
+
+function truncateIp(ip) {
+  if (!ip) {
+    return ip;
+  }
+
+  const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  const address = mapped ? mapped[1] : ip;
+
+  if (net.isIPv4(address)) {
+    return address.split('.').slice(0, 3).concat('0').join('.');
+  }
+
+  if (net.isIPv6(address)) {
+    const [head, tail] = address.split('::');
+    const groups = head ? head.split(':') : [];
+    if (tail !== undefined) {
+      const tailGroups = tail ? tail.split(':') : [];
+      groups.push(...Array(Math.max(0, 8 - groups.length - tailGroups.length)).fill('0'), ...tailGroups);
+    }
+    return `${groups.slice(0, 3).join(':')}::`;
+  }
+
+  return null;
+}
+
+// The address as it should be stored for a new submission
+function storedIp(ip) {
+  return TRUNCATE_IP ? truncateIp(ip) : ip;
+}
+
+// Everything held about an email address (data-subject access request).
+// Attachment contents are listed, not inlined; fetch them by id.
+async function collectSubjectData(db, email) {
+  const contacts = await db.query(
+    `SELECT ${CONTACT_COLUMNS}
+     FROM contacts c LEFT JOIN forms f ON f.id = c.form_id
+     WHERE lower(c.email) = lower($1) ORDER BY c.id`,
+    [email]
+  );
+
+  for (const contact of contacts.rows) {
+    contact.attachments = await attachments.listAttachments(db, contact.id);
+    contact.notes = await workflow.listNotes(db, contact.id);
+    contact.history = await workflow.listHistory(db, contact.id);
+  }
+
+  const ids = contacts.rows.map(contact => contact.id);
+  const notifications = await db.query(
+    `SELECT id, contact_id, recipients, template, status, created_at, sent_at
+     FROM notification_outbox WHERE contact_id = ANY($1::int[]) ORDER BY id`,
+    [ids]
+  );
+  const deliveries = await db.query(
+    `SELECT d.id, w.url AS webhook_url, d.event, d.payload, d.status, d.created_at, d.delivered_at
+     FROM webhook_deliveries d JOIN webhooks w ON w.id = d.webhook_id
+     WHERE lower(d.payload #>> '{data,email}') = lower($1) ORDER BY d.id`,
+    [email]
+  );
+  const erasures = await listErasures(db, { email });
+
+  return {
+    email,
+    generated_at: new Date().toISOString(),
+    contacts: contacts.rows,
+    notifications: notifications.rows,
+    webhook_deliveries: deliveries.rows,
+    erasures
+  };
+}
+
+// Deletes everything held about an email address inside the caller's
+// transaction and records a tombstone. Returns the tombstone and the storage
+// keys of the attachment files, which the caller removes after COMMIT.
+async function eraseSubject(client, email, { reason, requestedBy }) {
+  const emailHash = hashEmail(email);
+  const contacts = await client.query(
+    `SELECT id, quarantined, (SELECT slug FROM forms WHERE forms.id = form_id) AS form
+     FROM contacts WHERE lower(email) = lower($1) FOR UPDATE`,
+    [email]
+  );
+  const ids = contacts.rows.map(contact => contact.id);
+
+  const keys = await client.query(
+    'SELECT storage_key FROM attachments WHERE contact_id = ANY($1::int[])',
+    [ids]
+  );
+  // Notes, history, attachments and queued notifications cascade
+  await client.query('DELETE FROM contacts WHERE id = ANY($1::int[])', [ids]);
+  const deliveries = await client.query(
+    "DELETE FROM webhook_deliveries WHERE lower(payload #>> '{data,email}') = lower($1)",
+    [email]
+  );
+  // Stored submission responses (Idempotency-Key replays) echo the address
+  await client.query(
+    'DELETE FROM idempotency_keys WHERE position(lower($1) in lower(response_body::text)) > 0',
+    [email]
+  );
+
+  // Subscribers still hear about the deletion, just not who it was
+  const deletedAt = new Date().toISOString();
+  for (const contact of contacts.rows.filter(row => !row.quarantined)) {
+    await webhooks.enqueueEvent(client, 'contact.deleted', {
+      id: contact.id,
+      form: contact.form,
+      erased: true,
+      deleted_at: deletedAt
+    });
+  }
+
+  const tombstone = await client.query(
+    `INSERT INTO privacy_erasures
+       (email_hash, contact_ids, attachments_erased, deliveries_erased, reason, requested_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, email_hash, contact_ids, attachments_erased, deliveries_erased, reason, requested_by, created_at`,
+    [emailHash, ids, keys.rows.length, deliveries.rowCount, reason || null, requestedBy]
+  );
+
+  return {
+    tombstone: tombstone.rows[0],
+    storageKeys: keys.rows.map(row => row.storage_key)
+  };
+}
+
+async function listErasures(db, { email, limit = 100 } = {}) {
+  const result = await db.query(
+    `SELECT id, email_hash, contact_ids, attachments_erased, deliveries_erased, reason, requested_by, created_at
+     FROM privacy_erasures WHERE ($1::text[] IS NULL OR email_hash = ANY($1::text[]))
+     ORDER BY id DESC LIMIT $2`,
+    [email ? emailHashes(email) : null, limit]
+  );
+  return result.rows;
+}
+
+// Clears the IP address and user agent of contacts older than `days`
+async function anonymizeExpired(db, days) {
+  const result = await db.query(
+    `UPDATE contacts SET ip_address = NULL, user_agent = NULL
+     WHERE id IN (
+       SELECT id FROM contacts
+       WHERE created_at < NOW() - make_interval(days => $1)
+         AND (ip_address IS NOT NULL OR user_agent IS NOT NULL)
+       LIMIT $2 FOR UPDATE SKIP LOCKED
+     )`,
+    [days, RETENTION_BATCH_SIZE]
+  );
+  return result.rowCount;
+}
+
+// Deletes contacts (and webhook deliveries, which carry contact data) older
+// than `days`. Attachment files are removed once the rows are gone.
+async function deleteExpired(pool, storage, days, logger) {
+  const client = await pool.connect();
+  let deleted;
+  let storageKeys;
+
+  try {
+    await client.query('BEGIN');
+    const expired = await client.query(
+      `SELECT id FROM contacts WHERE created_at < NOW() - make_interval(days => $1)
+       LIMIT $2 FOR UPDATE SKIP LOCKED`,
+      [days, RETENTION_BATCH_SIZE]
+    );
+    const ids = expired.rows.map(row => row.id);
+
+    // Read before the delete; attachment rows cascade with their contact
+    const keys = await client.query(
+      'SELECT storage_key FROM attachments WHERE contact_id = ANY($1::int[])',
+      [ids]
+    );
+    storageKeys = keys.rows.map(row => row.storage_key);
+
+    const contacts = await client.query('DELETE FROM contacts WHERE id = ANY($1::int[])', [ids]);
+    deleted = contacts.rowCount;
+
+    const deliveries = await client.query(
+      `DELETE FROM webhook_deliveries
+       WHERE id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE created_at < NOW() - make_interval(days => $1) AND status <> 'pending'
+         LIMIT $2
+       )`,
+      [days, RETENTION_BATCH_SIZE]
+    );
+    deleted += deliveries.rowCount;
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const failures = await attachments.removeStoredAttachments(storage, storageKeys);
+  failures.forEach(error => logger.error('Error removing attachment file:', error));
+
+  return deleted;
+}
+
+function startRetentionWorker({ pool, storage, logger, intervalMs = RETENTION_INTERVAL_MS }) {
+  if (!ANONYMIZE_AFTER_DAYS && !DELETE_AFTER_DAYS) {
+    return null;
+  }
+
+  return startPollingWorker({
+    name: 'Retention',
+    runOnce: async () => {
+      const anonymized = ANONYMIZE_AFTER_DAYS ? await anonymizeExpired(pool, ANONYMIZE_AFTER_DAYS) : 0;
+      const deleted = DELETE_AFTER_DAYS ? await deleteExpired(pool, storage, DELETE_AFTER_DAYS, logger) : 0;
+      if (anonymized > 0 || deleted > 0) {
+        logger.info(`Retention: anonymized ${anonymized}, deleted ${deleted} rows`);
+      }
+      return anonymized > 0 || deleted > 0;
+    },
+    logger,
+    intervalMs,
+    batchSize: 100
+  });
+}
+
+const validateSubjectQuery = [
+  query('email')
+    .isEmail().withMessage('Valid email is required')
+    // Submissions are stored normalized, so lookups must be too
+    .normalizeEmail(),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+const validateErasure = [
+  body('email')
+    .isEmail().withMessage('Valid email is required')
+    .normalizeEmail(),
+
+  body('reason')
+    .optional()
+    .isString().withMessage('Reason must be a string')
+    .trim()
+    .isLength({ max: 500 }).withMessage('Reason must be less than 500 characters'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  ANONYMIZE_AFTER_DAYS,
+  DELETE_AFTER_DAYS,
+  TRUNCATE_IP,
+  HASH_SECRET_SET: Boolean(HASH_SECRET),
+  hashEmail,
+  truncateIp,
+  storedIp,
+  collectSubjectData,
+  eraseSubject,
+  listErasures,
+  anonymizeExpired,
+  deleteExpired,
+  startRetentionWorker,
+  validateSubjectQuery,
+  validateErasure
+};
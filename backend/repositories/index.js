@@ -0,0 +1,35 @@
+const createPostgresRepositories = require('./postgres');
+const createMemoryRepositories = require('./memory');
+
+// Data stores behind the routes. Each factory returns { name, forms, contacts }:
+//   forms.findBySlug(slug), forms.findById(id) -> Promise<form | null>
+//   forms.ensureDefault(schema)                -> Promise<void>
+//   contacts.create(form, submission, stored)  -> Promise<{ duplicate, contact, attachments }>
+//   contacts.list(filters, listOptions)        -> Promise<{ rows, total, hasMore, first, last }>
+//   contacts.stream(filters, { columns })      -> Promise<Readable of export rows>
+//   contacts.get(id, { form })                 -> Promise<contact | null>
+//   contacts.remove(id)                        -> Promise<{ contact, storageKeys } | null>
+// See postgres.js for what each operation takes and returns, and listing.js
+// for the list options.
+const drivers = {
+  postgres: createPostgresRepositories,
+  memory: createMemoryRepositories
+};
+
+function registerRepositories(name, factory) {
+  drivers[name] = factory;
+}
+
+function createRepositories(options = {}) {
+  const driver = options.driver || process.env.DATA_STORE || 'postgres';
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown data store: ${driver}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createRepositories,
+  registerRepositories
+};
@@ -0,0 +1,287 @@
+const { Readable } = require('stream');
+const forms = require('../forms');
+const search = require('../search');
+const idempotency = require('../idempotency');
+const listing = require('../listing');
+const exporter = require('../export');
+
+// Keeps forms and contacts in process memory, for running the API locally or
+// in tests without Postgres. Nothing survives a restart, and there is no
+// outbox: new contacts aren't announced by email or webhook.
+function createMemoryRepositories() {
+  const formRows = new Map();
+  const contactRows = new Map();
+  let nextFormId = 1;
+  let nextContactId = 1;
+  let nextAttachmentId = 1;
+
+  const copy = value => structuredClone(value);
+
+  function words(text) {
+    return String(text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  // The search syntax of search.js, matched against words rather than a
+  // tsvector: a word matches any word it starts ("invoice" finds "invoices"),
+  // and results are not ranked
+  function matchesSearch(row, q) {
+    const terms = search.parseSearchQuery(q);
+    if (terms.length === 0) {
+      return true;
+    }
+
+    const haystack = words(`${row.name} ${row.email} ${row.email.replace('@', ' ')} ${row.message}`);
+    const matchesTerm = (term) => {
+      const needle = term.type === 'prefix' ? [term.text.toLowerCase()] : words(term.text);
+      const found = needle.length > 0 && haystack.some((_, start) => (
+        needle.every((word, i) => haystack[start + i] && haystack[start + i].startsWith(word))
+      ));
+      return term.negated ? !found : found;
+    };
+
+    // Terms are ANDed, except runs joined with OR
+    const groups = [];
+    terms.forEach((term) => {
+      if (term.or && groups.length > 0) {
+        groups[groups.length - 1].push(term);
+      } else {
+        groups.push([term]);
+      }
+    });
+    return groups.every(group => group.some(matchesTerm));
+  }
+
+  function matchesFilters(row, { q, form, email, startDate, endDate, status, assignee, quarantined = 'false' }) {
+    if (quarantined === 'true' ? !row.quarantined : quarantined !== 'all' && row.quarantined) {
+      return false;
+    }
+    if (form && formRows.get(row.form_id)?.slug !== form) {
+      return false;
+    }
+    if (email && row.email !== email) {
+      return false;
+    }
+    if (status && !String(status).split(',').includes(row.status)) {
+      return false;
+    }
+    if (assignee === 'none' ? row.assignee !== null : assignee && row.assignee !== assignee) {
+      return false;
+    }
+    if (startDate && row.created_at < new Date(startDate)) {
+      return false;
+    }
+    if (endDate && row.created_at > new Date(endDate)) {
+      return false;
+    }
+    return !q || matchesSearch(row, q);
+  }
+
+  // Sort values and their cursor keys (see listing.SORT_FIELDS)
+  function compareValues(a, b) {
+    if (a instanceof Date) {
+      return a - b;
+    }
+    return a < b ? -1 : a > b ? 1 : 0;
+  }
+
+  function sortKey(value) {
+    return value instanceof Date ? value.toISOString() : String(value);
+  }
+
+  function cursorValue(field, key) {
+    return { timestamp: () => new Date(key), integer: () => parseInt(key), text: () => key }[listing.SORT_FIELDS[field]]();
+  }
+
+  function findRow(id) {
+    return contactRows.get(Number(id)) || null;
+  }
+
+  function findDuplicate(formId, { clientSubmissionId, contentHash }) {
+    const rows = [...contactRows.values()].filter(row => row.form_id === formId);
+    if (clientSubmissionId) {
+      const byClientId = rows.find(row => row.client_submission_id === clientSubmissionId);
+      if (byClientId) {
+        return byClientId;
+      }
+    }
+    if (!idempotency.DUPLICATE_WINDOW_MINUTES) {
+      return null;
+    }
+    const since = Date.now() - idempotency.DUPLICATE_WINDOW_MINUTES * 60 * 1000;
+    return rows.reverse().find(row => row.content_hash === contentHash && row.created_at.getTime() > since) || null;
+  }
+
+  const summary = row => copy({ id: row.id, name: row.name, email: row.email, fields: row.fields, created_at: row.created_at });
+  const publicAttachments = row => row.attachments.map(({ storage_key: key, ...attachment }) => copy(attachment));
+
+  const formRepository = {
+    async findBySlug(slug) {
+      const form = [...formRows.values()].find(row => row.slug === slug);
+      return form ? copy(form) : null;
+    },
+
+    async findById(id) {
+      const form = formRows.get(Number(id));
+      return form ? copy(form) : null;
+    },
+
+    async ensureDefault(schema) {
+      const existing = [...formRows.values()].find(row => row.slug === forms.DEFAULT_FORM_SLUG);
+      if (existing) {
+        existing.fields = copy(schema.fields);
+        existing.updated_at = new Date();
+        return;
+      }
+      const now = new Date();
+      const id = nextFormId++;
+      formRows.set(id, {
+        id,
+        slug: forms.DEFAULT_FORM_SLUG,
+        title: 'Contact',
+        fields: copy(schema.fields),
+        success_message: null,
+        notify_emails: [],
+        created_at: now,
+        updated_at: now
+      });
+    }
+  };
+
+  // Same operations and results as the Postgres repository (see postgres.js)
+  const contactRepository = {
+    async create(form, submission, stored = []) {
+      const existing = findDuplicate(form.id, submission);
+      if (existing) {
+        return { duplicate: true, contact: summary(existing), attachments: publicAttachments(existing) };
+      }
+
+      const now = new Date();
+      const row = {
+        id: nextContactId++,
+        form_id: form.id,
+        name: submission.name,
+        email: submission.email,
+        message: submission.message,
+        fields: copy(submission.fields || {}),
+        status: 'new',
+        assignee: null,
+        spam_score: submission.spamScore || 0,
+        spam_reasons: submission.spamReasons || [],
+        quarantined: Boolean(submission.quarantined),
+        ip_address: submission.ipAddress || null,
+        user_agent: submission.userAgent || null,
+        client_submission_id: submission.clientSubmissionId || null,
+        content_hash: submission.contentHash,
+        created_at: now,
+        updated_at: now,
+        attachments: stored.map(item => ({
+          id: nextAttachmentId++,
+          field: item.field,
+          filename: item.filename,
+          content_type: item.contentType,
+          size: item.size,
+          created_at: now,
+          storage_key: item.key
+        }))
+      };
+      contactRows.set(row.id, row);
+
+      return { duplicate: false, contact: summary(row), attachments: publicAttachments(row) };
+    },
+
+    // Not ranked, so `relevance` makes no difference here
+    async list(filters, { page = 1, limit = 10, cursor = null, sort, fields = listing.DEFAULT_FIELDS } = {}) {
+      sort = sort || { field: 'created_at', descending: true, param: listing.DEFAULT_SORT };
+      const backward = Boolean(cursor && cursor.backward);
+      const descending = sort.descending !== backward;
+      const compare = (a, b) => {
+        const order = compareValues(a[0], b[0]) || a[1] - b[1];
+        return descending ? -order : order;
+      };
+
+      const matching = [...contactRows.values()]
+        .filter(row => matchesFilters(row, filters))
+        .map(row => [row[sort.field], row.id, row])
+        .filter(entry => !cursor || compare(entry, [cursorValue(sort.field, cursor.key), cursor.id]) > 0)
+        .sort(compare);
+
+      const offset = cursor ? 0 : (page - 1) * limit;
+      const pageRows = matching.slice(offset, offset + limit).map(([, , row]) => row);
+      if (backward) {
+        pageRows.reverse();
+      }
+
+      const columns = row => ({ ...row, form: formRows.get(row.form_id)?.slug || null });
+      const rows = pageRows.map(row => copy(Object.fromEntries(fields.map(field => [field, columns(row)[field]]))));
+      const edge = row => (row ? { key: sortKey(row[sort.field]), id: row.id } : null);
+
+      return {
+        rows,
+        total: cursor ? null : matching.length,
+        hasMore: matching.length > offset + limit,
+        first: edge(pageRows[0]),
+        last: edge(pageRows[pageRows.length - 1])
+      };
+    },
+
+    // Newest first, as search results aren't ranked
+    async stream(filters, { columns = exporter.DEFAULT_COLUMNS } = {}) {
+      const rows = [...contactRows.values()]
+        .filter(row => matchesFilters(row, filters))
+        .sort((a, b) => b.created_at - a.created_at || b.id - a.id)
+        .map(row => ({ ...row, form: formRows.get(row.form_id)?.slug || null }))
+        .map(row => copy(Object.fromEntries(columns.map(column => [column, row[column]]))));
+      return Readable.from(rows);
+    },
+
+    async get(id, { form } = {}) {
+      const row = findRow(id);
+      const slug = row ? formRows.get(row.form_id)?.slug || null : null;
+      if (!row || (form && slug !== form)) {
+        return null;
+      }
+
+      return {
+        ...copy({
+          id: row.id,
+          form: slug,
+          name: row.name,
+          email: row.email,
+          message: row.message,
+          fields: row.fields,
+          status: row.status,
+          assignee: row.assignee,
+          spam_score: row.spam_score,
+          spam_reasons: row.spam_reasons,
+          quarantined: row.quarantined,
+          created_at: row.created_at,
+          updated_at: row.updated_at
+        }),
+        attachments: publicAttachments(row),
+        notes: [],
+        history: []
+      };
+    },
+
+    async remove(id) {
+      const row = findRow(id);
+      if (!row) {
+        return null;
+      }
+
+      contactRows.delete(row.id);
+      return {
+        contact: { id: row.id, name: row.name, email: row.email, form: formRows.get(row.form_id)?.slug || null },
+        storageKeys: row.attachments.map(attachment => attachment.storage_key)
+      };
+    }
+  };
+
+  return {
+    name: 'memory',
+    forms: formRepository,
+    contacts: contactRepository
+  };
+}
+
+module.exports = createMemoryRepositories;
@@ -0,0 +1,317 @@
+const QueryStream = require('pg-query-stream');
+const forms = require('../forms');
+const attachments = require('../attachments');
+const webhooks = require('../webhooks');
+const workflow = require('../workflow');
+const search = require('../search');
+const idempotency = require('../idempotency');
+const exporter = require('../export');
+const listing = require('../listing');
+
+// Casts for cursor values of the sortable fields (listing.SORT_FIELDS)
+const SORT_TYPES = {
+  created_at: 'timestamptz',
+  updated_at: 'timestamptz',
+  name: 'text',
+  email: 'text',
+  status: 'text',
+  spam_score: 'integer'
+};
+
+// Filters shared by the contact list and the export. Conditions are over
+// contacts c LEFT JOIN forms f; placeholders start at $1.
+function buildContactFilters({ q, form, email, startDate, endDate, status, assignee, quarantined = 'false' }) {
+  const conditions = [];
+  const params = [];
+  let paramCount = 0;
+
+  // Quarantined submissions are hidden unless asked for (?quarantined=true|all)
+  if (quarantined === 'true') {
+    conditions.push('c.quarantined');
+  } else if (quarantined !== 'all') {
+    conditions.push('NOT c.quarantined');
+  }
+
+  if (form) {
+    paramCount++;
+    conditions.push(`f.slug = $${paramCount}`);
+    params.push(form);
+  }
+
+  if (email) {
+    paramCount++;
+    conditions.push(`c.email = $${paramCount}`);
+    params.push(email);
+  }
+
+  // ?status=new,open matches any of the listed statuses
+  if (status) {
+    paramCount++;
+    conditions.push(`c.status = ANY($${paramCount}::text[])`);
+    params.push(String(status).split(','));
+  }
+
+  // ?assignee=none lists unassigned contacts
+  if (assignee === 'none') {
+    conditions.push('c.assignee IS NULL');
+  } else if (assignee) {
+    paramCount++;
+    conditions.push(`c.assignee = $${paramCount}`);
+    params.push(assignee);
+  }
+
+  if (startDate) {
+    paramCount++;
+    conditions.push(`c.created_at >= $${paramCount}`);
+    params.push(startDate);
+  }
+
+  if (endDate) {
+    paramCount++;
+    conditions.push(`c.created_at <= $${paramCount}`);
+    params.push(endDate);
+  }
+
+  // Full-text search over name, email and message; see search.js for the syntax
+  const tsquery = q ? search.buildSearchQuery(q, paramCount) : null;
+  if (tsquery) {
+    conditions.push(`c.search_vector @@ ${tsquery.sql}`);
+    params.push(...tsquery.params);
+  }
+
+  return { conditions, params, tsquery };
+}
+
+// The production store. `announce(client, form, contact, attachments)` is
+// called inside the transaction that stores a new, non-quarantined contact,
+// so its notification and webhook are queued together with it.
+function createPostgresRepositories({ pool, announce = async () => {} }) {
+  const formRepository = {
+    findBySlug: slug => forms.findFormBySlug(pool, slug),
+    findById: id => forms.findFormById(pool, id),
+    ensureDefault: schema => forms.ensureDefaultForm(pool, schema)
+  };
+
+  const contactRepository = {
+    // Stores a submission and its already-saved attachment files. A repeat of
+    // a stored submission (see idempotency.findDuplicateSubmission) is not
+    // stored again: { duplicate: true } comes back with the original contact.
+    async create(form, submission, stored = []) {
+      const client = await pool.connect();
+
+      try {
+        await client.query('BEGIN');
+
+        const { clientSubmissionId = null, contentHash } = submission;
+        let existing = await idempotency.findDuplicateSubmission(client, form.id, { clientSubmissionId, hash: contentHash });
+        let contact = null;
+
+        if (!existing) {
+          const result = await client.query(
+            `INSERT INTO contacts (form_id, name, email, message, fields, spam_score, spam_reasons, quarantined, ip_address, user_agent, client_submission_id, content_hash)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::inet, $10, $11, $12)
+             ON CONFLICT (form_id, client_submission_id) WHERE client_submission_id IS NOT NULL DO NOTHING
+             RETURNING id, name, email, fields, created_at`,
+            [form.id, submission.name, submission.email, submission.message, submission.fields, submission.spamScore,
+              submission.spamReasons, submission.quarantined, submission.ipAddress, submission.userAgent, clientSubmissionId, contentHash]
+          );
+          contact = result.rows[0];
+          if (!contact) {
+            // The same client submission ID was stored concurrently
+            existing = await idempotency.findDuplicateSubmission(client, form.id, { clientSubmissionId, hash: contentHash });
+          }
+        }
+
+        if (existing) {
+          await client.query('ROLLBACK');
+          return {
+            duplicate: true,
+            contact: existing,
+            attachments: await attachments.listAttachments(client, existing.id)
+          };
+        }
+
+        const savedAttachments = await attachments.insertAttachments(client, contact.id, stored);
+        if (!submission.quarantined) {
+          await announce(client, form, { ...contact, message: submission.message }, savedAttachments);
+        }
+
+        await client.query('COMMIT');
+        return { duplicate: false, contact, attachments: savedAttachments };
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    },
+
+    // One page of contacts matching `filters` (see buildContactFilters) with
+    // the options from listing.listOptions(): `fields`, ordered by `sort` then
+    // id, or best match first when `relevance`. Pages by number (`page`, with
+    // `total`) or after/before a `cursor`. Resolves to { rows, total, hasMore,
+    // first, last }, the last two being the { key, id } of the edge rows.
+    async list(filters, { page = 1, limit = 10, cursor = null, sort, relevance = false, fields = listing.DEFAULT_FIELDS } = {}) {
+      sort = sort || { field: 'created_at', descending: true, param: listing.DEFAULT_SORT };
+      const column = exporter.COLUMNS[sort.field];
+      const { conditions, params, tsquery } = buildContactFilters(filters);
+      const paramCount = params.length;
+
+      // Walking backward, rows are fetched in reverse and flipped afterwards
+      const backward = Boolean(cursor && cursor.backward);
+      const descending = sort.descending !== backward;
+      const direction = descending ? 'DESC' : 'ASC';
+      const orderBy = relevance && tsquery
+        ? ['rank DESC', 'sort_value DESC', 'sort_id DESC']
+        : [`sort_value ${direction}`, `sort_id ${direction}`];
+
+      const where = [...conditions];
+      if (cursor) {
+        params.push(cursor.key, cursor.id);
+        where.push(`(${column}, c.id) ${descending ? '<' : '>'} ($${params.length - 1}::${SORT_TYPES[sort.field]}, $${params.length})`);
+      }
+
+      // The sort value also goes out as text, so cursors keep full precision
+      let query = `SELECT ${exporter.selectList(fields)}, ${column} AS sort_value, (${column})::text AS sort_key, c.id AS sort_id`;
+      if (tsquery) {
+        query += `, ts_rank_cd(c.search_vector, ${tsquery.sql}) AS rank`;
+      }
+      query += ' FROM contacts c LEFT JOIN forms f ON f.id = c.form_id';
+      const whereClause = where.length > 0 ? ' WHERE ' + where.join(' AND ') : '';
+      query += whereClause + ' ORDER BY ' + orderBy.join(', ');
+
+      // One row more than asked for tells whether there is another page
+      params.push(limit + 1);
+      query += ` LIMIT $${params.length}`;
+      if (!cursor) {
+        params.push((page - 1) * limit);
+        query += ` OFFSET $${params.length}`;
+      }
+
+      // Snippets are only built for the rows on this page
+      if (tsquery) {
+        query = `SELECT page.*, ${search.headline('c.message', tsquery.sql)} AS snippet
+                 FROM (${query}) page JOIN contacts c ON c.id = page.sort_id
+                 ORDER BY ${orderBy.map(term => `page.${term}`).join(', ')}`;
+      }
+
+      // Cursor pages skip the count: it costs as much as the OFFSET they avoid
+      const countQuery = 'SELECT COUNT(*) FROM contacts c LEFT JOIN forms f ON f.id = c.form_id'
+        + (conditions.length > 0 ? ' WHERE ' + conditions.join(' AND ') : '');
+      const [result, countResult] = await Promise.all([
+        pool.query(query, params),
+        cursor ? null : pool.query(countQuery, params.slice(0, paramCount))
+      ]);
+
+      const hasMore = result.rows.length > limit;
+      const pageRows = result.rows.slice(0, limit);
+      if (backward) {
+        pageRows.reverse();
+      }
+      const edge = row => (row ? { key: row.sort_key, id: row.sort_id } : null);
+      const rows = pageRows.map(({ sort_value, sort_key, sort_id, ...row }) => row);
+
+      return {
+        rows,
+        total: countResult ? parseInt(countResult.rows[0].count) : null,
+        hasMore,
+        first: edge(pageRows[0]),
+        last: edge(pageRows[pageRows.length - 1])
+      };
+    },
+
+    // Every contact matching `filters` (see buildContactFilters), newest or
+    // best match first, as an object stream of the export `columns`
+    // (export.COLUMNS). The rows come from a server-side cursor on a client of
+    // its own, released when the stream ends or is destroyed.
+    async stream(filters, { columns = exporter.DEFAULT_COLUMNS } = {}) {
+      const { conditions, params, tsquery } = buildContactFilters(filters);
+
+      let query = `SELECT ${exporter.selectList(columns)} FROM contacts c LEFT JOIN forms f ON f.id = c.form_id`;
+      if (conditions.length > 0) {
+        query += ' WHERE ' + conditions.join(' AND ');
+      }
+      query += tsquery
+        ? ` ORDER BY ts_rank_cd(c.search_vector, ${tsquery.sql}) DESC, c.created_at DESC`
+        : ' ORDER BY c.created_at DESC';
+
+      const client = await pool.connect();
+      const rows = client.query(new QueryStream(query, params, { batchSize: exporter.BATCH_SIZE }));
+      // A connection left mid-cursor is discarded rather than reused
+      rows.once('close', () => client.release(rows.readableEnded ? undefined : true));
+      return rows;
+    },
+
+    // A contact with its attachments, notes and status history, or null.
+    // `form` (a slug) scopes the lookup to a single form.
+    async get(id, { form } = {}) {
+      const result = await pool.query(
+        `SELECT c.id, f.slug AS form, c.name, c.email, c.message, c.fields, c.status, c.assignee,
+                c.spam_score, c.spam_reasons, c.quarantined, c.created_at, c.updated_at
+         FROM contacts c LEFT JOIN forms f ON f.id = c.form_id
+         WHERE c.id = $1 AND ($2::text IS NULL OR f.slug = $2)`,
+        [id, form || null]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const contact = result.rows[0];
+      const [contactAttachments, notes, history] = await Promise.all([
+        attachments.listAttachments(pool, contact.id),
+        workflow.listNotes(pool, contact.id),
+        workflow.listHistory(pool, contact.id)
+      ]);
+
+      return { ...contact, attachments: contactAttachments, notes, history };
+    },
+
+    // Deletes a contact and queues contact.deleted for it. Resolves to
+    // { contact, storageKeys } (the attachment files to remove), or null.
+    async remove(id) {
+      const client = await pool.connect();
+
+      try {
+        const storageKeys = await attachments.listStorageKeys(client, id);
+
+        await client.query('BEGIN');
+        const result = await client.query(
+          `DELETE FROM contacts WHERE id = $1
+           RETURNING id, name, email, quarantined, (SELECT slug FROM forms WHERE forms.id = form_id) AS form`,
+          [id]
+        );
+
+        if (result.rows.length === 0) {
+          await client.query('ROLLBACK');
+          return null;
+        }
+
+        const { quarantined, ...contact } = result.rows[0];
+        // Subscribers never heard about quarantined contacts
+        if (!quarantined) {
+          await webhooks.enqueueEvent(client, 'contact.deleted', {
+            ...contact,
+            deleted_at: new Date().toISOString()
+          });
+        }
+        await client.query('COMMIT');
+
+        return { contact, storageKeys };
+      } catch (error) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        client.release();
+      }
+    }
+  };
+
+  return {
+    name: 'postgres',
+    forms: formRepository,
+    contacts: contactRepository
+  };
+}
+
+module.exports = createPostgresRepositories;
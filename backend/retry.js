@@ -0,0 +1,12 @@
+// Exponential backoff with jitter for background delivery retries.
+// attempt is 1-based: the delay before the second try is roughly baseMs.
+function backoffDelay(attempt, { baseMs = 30000, maxMs = 6 * 60 * 60 * 1000 } = {}) {
+  const exponential = Math.min(maxMs, baseMs * 2 ** Math.max(0, attempt - 1));
+  // +/- 20% so retries from a burst of failures don't line up
+  const jitter = exponential * 0.2 * (Math.random() * 2 - 1);
+  return Math.max(0, Math.round(exponential + jitter));
+}
+
+module.exports = {
+  backoffDelay
+};
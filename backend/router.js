@@ -0,0 +1,1235 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const express = require('express');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const swaggerUi = require('swagger-ui-dist');
+const { loadSchema, validateSubmission, splitSubmission } = require('./schema');
+const forms = require('./forms');
+const attachments = require('./attachments');
+const { createStorage } = require('./storage');
+const notifications = require('./notifications');
+const webhooks = require('./webhooks');
+const spam = require('./spam');
+const auth = require('./auth');
+const workflow = require('./workflow');
+const search = require('./search');
+const listing = require('./listing');
+const exporter = require('./export');
+const privacy = require('./privacy');
+const idempotency = require('./idempotency');
+const metrics = require('./metrics');
+const { migrate } = require('./migrate');
+const { createRepositories } = require('./repositories');
+const { buildSpec, DOCS_PAGE } = require('./openapi');
+const { createSpecValidator, resolveMode } = require('./openapi-validator');
+const defaultLogger = require('./logger');
+
+const { requestContext, LEVELS, validateLogLevel } = defaultLogger;
+
+// Request IDs: a caller's X-Request-Id is kept if it looks sane, otherwise one
+// is generated. It is echoed in the response, added to error bodies and, via
+// logger.requestContext, to every log entry written while handling the request.
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const HAS_REQUEST_ID = Symbol('hasRequestId');
+
+function assignRequestId(req, res, next) {
+  // Already done further up (server.js runs it ahead of the access log)
+  if (req[HAS_REQUEST_ID]) {
+    return next();
+  }
+  req[HAS_REQUEST_ID] = true;
+
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.error) {
+      return json({ ...body, requestId });
+    }
+    return json(body);
+  };
+
+  requestContext.run({ requestId }, () => {
+    // Body parsers and multer run their callbacks from request stream events,
+    // which would otherwise lose the context
+    req.emit = AsyncResource.bind(req.emit.bind(req));
+    next();
+  });
+}
+
+// Submission endpoints, relative to /api; rate-limited ones are counted in metrics
+const SUBMISSION_PATH = /^\/(contacts|forms\/[^/]+\/submissions)\/?$/;
+
+// Endpoints that need Postgres (paths relative to /api). With
+// DATA_STORE=memory they answer 503; the form, submission and contact
+// list/get/export/delete endpoints work, and unknown paths fall through to the 404.
+const DATABASE_ROUTES = [
+  /^(GET|POST) \/forms$/,
+  /^PUT \/forms\/[^/]+$/,
+  /^GET \/contacts\/[^/]+\/attachments\/[^/]+$/,
+  /^PATCH \/contacts\/[^/]+$/,
+  /^POST \/contacts\/[^/]+\/release$/,
+  /^(GET|POST|PATCH|DELETE) \/(privacy|notifications|webhooks|keys)(\/.*)?$/,
+  /^GET \/metrics$/
+];
+
+// Builds the contact form API as an Express router: the /api routes and
+// /metrics. server.js serves it on its own; other apps can mount it, e.g.
+// app.use('/contact-form', createContactRouter({ pool })). Options:
+//   pool          pg Pool; stays the caller's to end()
+//   logger        winston-style logger (default: logger.js)
+//   cors          cors() options, or false to leave CORS to the host app
+//   limits        { windowMs, max, bodySize }; max: 0 turns rate limiting off
+//   auth          { adminKey } root key (default ADMIN_API_KEY), or
+//                 { authenticate(req) } resolving to { name, scopes } or null
+//   storage       attachment storage (default: createStorage())
+//   repositories  data store (default: createRepositories(), see DATA_STORE)
+//   openapiValidation  'off', 'warn' or 'strict' (default: OPENAPI_VALIDATE,
+//                 see openapi-validator.js)
+// Call router.initialize() before serving requests (migrations, default form,
+// background workers) and router.close() to stop the workers.
+function createContactRouter(options = {}) {
+  const logger = options.logger || defaultLogger;
+  const pool = options.pool;
+  const authOptions = options.auth || {};
+  const adminKey = authOptions.adminKey !== undefined ? authOptions.adminKey : process.env.ADMIN_API_KEY;
+  const limits = {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+    max: process.env.RATE_LIMIT_MAX_REQUESTS !== undefined ? parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 0 : 100,
+    bodySize: '1mb',
+    ...options.limits
+  };
+
+  // Default form schema, seeded into the forms table on startup
+  const formSchema = loadSchema();
+
+  // API contract, served at /api/openapi.json and checked in development
+  const spec = buildSpec({ formSchema });
+  const validationMode = options.openapiValidation || resolveMode();
+
+  // Where uploaded attachments live (ATTACHMENT_STORAGE, default: local disk)
+  const storage = options.storage || createStorage();
+
+  // Where forms and contacts live (DATA_STORE, default: postgres)
+  const repositories = options.repositories || createRepositories({ pool, announce: announceContact });
+  const usesDatabase = repositories.name === 'postgres';
+
+  const router = express.Router();
+  let workers = [];
+
+  router.use(assignRequestId);
+
+  // CORS configuration
+  if (options.cors !== false) {
+    router.use(cors({
+      origin: process.env.CORS_ORIGIN || '*',
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+      allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Client-Submission-Id', 'Idempotency-Key', 'X-Request-Id'],
+      exposedHeaders: ['Idempotent-Replayed', 'X-Request-Id', 'Link'],
+      credentials: true,
+      ...options.cors
+    }));
+  }
+
+  // Rate limiting
+  if (limits.max > 0) {
+    router.use('/api/', rateLimit({
+      windowMs: limits.windowMs,
+      max: limits.max,
+      message: { error: 'Too many requests, please try again later.' },
+      standardHeaders: true,
+      legacyHeaders: false,
+      handler: (req, res, next, limiterOptions) => {
+        // Limited submissions never reach their route, so they're counted here
+        if (req.method === 'POST' && SUBMISSION_PATH.test(req.path)) {
+          metrics.recordSubmission('rate_limited');
+        }
+        res.status(limiterOptions.statusCode).json(limiterOptions.message);
+      }
+    }));
+  }
+
+  // Body parsing middleware
+  router.use(express.json({ limit: limits.bodySize }));
+  router.use(express.urlencoded({ extended: true, limit: limits.bodySize }));
+
+  if (validationMode !== 'off') {
+    router.use(createSpecValidator(spec, { mode: validationMode, logger }));
+  }
+
+  if (!usesDatabase) {
+    router.use('/api', (req, res, next) => {
+      const route = `${req.method} ${req.path.replace(/(.)\/$/, '$1')}`;
+      if (!DATABASE_ROUTES.some(pattern => pattern.test(route))) {
+        return next();
+      }
+      res.status(503).json({ error: `Not available with DATA_STORE=${repositories.name}` });
+    });
+  }
+
+  // Every non-public route names the scope it needs. Keys come from the
+  // api_keys table, the root key (auth.adminKey, default ADMIN_API_KEY), or
+  // the host's auth.authenticate(req). Without a database only the root key
+  // and auth.authenticate work.
+  const keyStore = usesDatabase ? pool : null;
+
+  function requireScope(scope) {
+    return async (req, res, next) => {
+      try {
+        const apiKey = authOptions.authenticate
+          ? await authOptions.authenticate(req)
+          : await auth.authenticate(keyStore, auth.extractKey(req), { adminKey });
+        if (!apiKey) {
+          res.set('WWW-Authenticate', 'Bearer');
+          return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (!apiKey.scopes.includes(scope)) {
+          return res.status(403).json({ error: 'Forbidden', details: `Missing scope: ${scope}` });
+        }
+      
+        req.apiKey = apiKey;
+        auth.touchKey(keyStore, apiKey).catch(error => logger.error('Error updating API key usage:', error));
+        next();
+      } catch (error) {
+        logger.error('Error authenticating request:', error);
+        res.status(500).json({ 
+          error: 'Failed to authenticate request',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      }
+    };
+  }
+
+  // Resolves the form a submission targets: :slug, or the default form
+  async function loadForm(req, res, next) {
+    try {
+      const form = await repositories.forms.findBySlug(req.params.slug || forms.DEFAULT_FORM_SLUG);
+      if (!form) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+      req.form = form;
+      next();
+    } catch (error) {
+      logger.error('Error loading form:', error);
+      res.status(500).json({ 
+        error: 'Failed to load form',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  const validateContact = validateSubmission(req => forms.toSchema(req.form));
+
+  // Idempotency-Key support: the first response for a key is stored and
+  // replayed (with Idempotent-Replayed: true) to any retry within
+  // IDEMPOTENCY_TTL_HOURS. Server errors aren't stored, so those can be retried.
+  async function idempotent(req, res, next) {
+    const key = req.get('Idempotency-Key');
+    // Keys are kept in Postgres; without it, retries fall back to duplicate detection
+    if (key === undefined || !usesDatabase) {
+      return next();
+    }
+    if (!idempotency.isValidKey(key)) {
+      return res.status(400).json({ error: 'Idempotency-Key must be 1-255 printable ASCII characters' });
+    }
+
+    const scope = `${req.method} ${req.baseUrl}${req.path}`;
+    try {
+      const outcome = await idempotency.claim(pool, { key, scope, fingerprint: idempotency.fingerprint(req) });
+    
+      if (outcome.replay) {
+        res.set('Idempotent-Replayed', 'true');
+        res.locals.submissionOutcome = 'replayed';
+        return res.status(outcome.replay.status).json(outcome.replay.body);
+      }
+      if (outcome.conflict === 'in_progress') {
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is still in progress' });
+      }
+      if (outcome.conflict === 'mismatch') {
+        return res.status(422).json({ error: 'Idempotency-Key was already used for a different request' });
+      }
+    } catch (error) {
+      logger.error('Error claiming idempotency key:', error);
+      return res.status(500).json({ 
+        error: 'Failed to process request',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+
+    let answered = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      answered = true;
+      const done = res.statusCode < 500
+        ? idempotency.complete(pool, { key, scope, status: res.statusCode, body })
+        : idempotency.release(pool, { key, scope });
+      done.catch(error => logger.error('Error storing idempotent response:', error));
+      return json(body);
+    };
+    res.on('close', () => {
+      if (!answered) {
+        idempotency.release(pool, { key, scope })
+          .catch(error => logger.error('Error releasing idempotency key:', error));
+      }
+    });
+  
+    next();
+  }
+
+  // Queues the staff email and the contact.created webhook for a new contact
+  async function announceContact(client, form, contact, savedAttachments) {
+    await notifications.enqueueNotification(client, {
+      form,
+      contact,
+      attachments: savedAttachments
+    });
+    await webhooks.enqueueEvent(client, 'contact.created', {
+      ...contact,
+      form: form.slug,
+      attachments: savedAttachments
+    });
+  }
+
+  async function saveSubmission(req, res) {
+    const { name, email, message, fields } = splitSubmission(forms.toSchema(req.form), req);
+    const ipAddress = privacy.storedIp(req.ip);
+    const userAgent = req.get('User-Agent');
+    const clientSubmissionId = req.get('X-Client-Submission-Id') || null;
+    let stored = [];
+  
+    try {
+      // Suspected spam is stored but quarantined: no notification, no webhook,
+      // and the client gets the same response as everyone else
+      const { score, reasons } = await spam.scoreSubmission({
+        db: usesDatabase ? pool : null,
+        submissionId: clientSubmissionId,
+        formSlug: req.form.slug,
+        body: req.body,
+        name,
+        message,
+        fields
+      });
+      const quarantined = spam.isQuarantined(score);
+    
+      stored = await attachments.storeAttachments(storage, req.files);
+    
+      // A retry (offline queue, double click) of a submission already stored is
+      // answered as the first time, without storing or announcing it again
+      const result = await repositories.contacts.create(req.form, {
+        name,
+        email,
+        message,
+        fields,
+        spamScore: score,
+        spamReasons: reasons,
+        quarantined,
+        ipAddress,
+        userAgent,
+        clientSubmissionId,
+        contentHash: idempotency.contentHash(email, message)
+      }, stored);
+    
+      if (result.duplicate) {
+        await attachments.removeStoredAttachments(storage, stored.map(item => item.key));
+        res.locals.submissionOutcome = 'duplicate';
+        logger.info(`Duplicate submission ignored: ${email} (form: ${req.form.slug}, contact: ${result.contact.id})`);
+        return res.status(200).json({
+          success: true,
+          duplicate: true,
+          message: req.form.success_message || 'Contact saved successfully',
+          data: { ...result.contact, form: req.form.slug, attachments: result.attachments }
+        });
+      }
+    
+      res.locals.submissionOutcome = quarantined ? 'spam' : 'saved';
+      if (quarantined) {
+        logger.warn(`Contact quarantined: ${email} (form: ${req.form.slug}, score: ${score}, reasons: ${reasons.join(', ')})`);
+      } else {
+        logger.info(`Contact saved: ${email} (form: ${req.form.slug}, attachments: ${result.attachments.length})`);
+      }
+    
+      res.status(201).json({
+        success: true,
+        message: req.form.success_message || 'Contact saved successfully',
+        data: { ...result.contact, form: req.form.slug, attachments: result.attachments }
+      });
+    } catch (error) {
+      await attachments.removeStoredAttachments(storage, stored.map(item => item.key));
+    
+      logger.error('Error saving contact:', error);
+    
+      // Handle duplicate submissions
+      if (error.code === '23505') { // Unique violation
+        return res.status(409).json({ 
+          error: 'Duplicate submission detected' 
+        });
+      }
+    
+      res.status(500).json({ 
+        error: 'Failed to save contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // Routes
+  router.get('/api/forms', requireScope('forms:read'), async (req, res) => {
+    try {
+      const rows = await forms.listForms(pool);
+      res.json({
+        success: true,
+        data: rows.map(forms.toAdminForm)
+      });
+    } catch (error) {
+      logger.error('Error fetching forms:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch forms',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/forms', requireScope('forms:write'), forms.validateForm, async (req, res) => {
+    try {
+      const form = await forms.createForm(pool, req.body);
+      logger.info(`Form created: ${form.slug}`);
+      res.status(201).json({
+        success: true,
+        data: forms.toAdminForm(form)
+      });
+    } catch (error) {
+      if (error.code === '23505') { // Unique violation
+        return res.status(409).json({ error: 'A form with this slug already exists' });
+      }
+    
+      logger.error('Error creating form:', error);
+      res.status(500).json({ 
+        error: 'Failed to create form',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/forms/:slug', loadForm, (req, res) => {
+    res.json({
+      success: true,
+      data: forms.toPublicForm(req.form)
+    });
+  });
+
+  router.put('/api/forms/:slug', requireScope('forms:write'), forms.validateForm, async (req, res) => {
+    try {
+      const form = await forms.updateForm(pool, req.params.slug, req.body);
+      if (!form) {
+        return res.status(404).json({ error: 'Form not found' });
+      }
+    
+      logger.info(`Form updated: ${form.slug}`);
+      res.json({
+        success: true,
+        data: forms.toAdminForm(form)
+      });
+    } catch (error) {
+      logger.error('Error updating form:', error);
+      res.status(500).json({ 
+        error: 'Failed to update form',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Spam challenge: a signed render timestamp plus a proof-of-work puzzle
+  function sendChallenge(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      success: true,
+      data: spam.issueChallenge(req.form.slug)
+    });
+  }
+
+  router.get('/api/forms/:slug/challenge', loadForm, sendChallenge);
+
+  router.post('/api/forms/:slug/submissions', metrics.countSubmission, loadForm, attachments.parseAttachments, idempotent, validateContact, saveSubmission);
+
+  // Legacy endpoints, backed by the default form
+  router.get('/api/contacts/schema', loadForm, (req, res) => {
+    res.json({
+      success: true,
+      data: forms.toSchema(req.form)
+    });
+  });
+
+  router.get('/api/contacts/challenge', loadForm, sendChallenge);
+
+  router.post('/api/contacts', metrics.countSubmission, loadForm, attachments.parseAttachments, idempotent, validateContact, saveSubmission);
+
+  // Pages by number (?page=) or with the next/prev cursors of a previous
+  // page (?cursor=); see listing.js for ?sort= and ?fields=
+  router.get('/api/contacts', requireScope('contacts:read'), search.validateSearch, listing.validateListQuery, async (req, res) => {
+    try {
+      const options = listing.listOptions(req.query);
+      const result = await repositories.contacts.list(req.query, options);
+      const pagination = listing.paginate(options, result);
+
+      res.set('Link', listing.linkHeader(req, pagination));
+      res.json({
+        success: true,
+        data: result.rows,
+        pagination
+      });
+    } catch (error) {
+      logger.error('Error fetching contacts:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch contacts',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Streams every matching contact (no pagination) as CSV, NDJSON or XLSX.
+  // Takes the same filters as the list, plus ?format= and ?columns=a,b,c
+  router.get('/api/contacts/export', requireScope('contacts:export'), search.validateSearch, listing.validateContactFilters, exporter.validateExport, async (req, res) => {
+    const format = req.query.format || 'csv';
+    const columns = exporter.parseColumns(req.query.columns);
+  
+    let rows;
+    try {
+      rows = await repositories.contacts.stream(req.query, { columns });
+    } catch (error) {
+      logger.error('Error exporting contacts:', error);
+      return res.status(500).json({ 
+        error: 'Failed to export contacts',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  
+    const stamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+    res.set({
+      'Content-Type': exporter.FORMATS[format],
+      'Content-Disposition': `attachment; filename="contacts-${stamp}.${format}"`,
+      'Cache-Control': 'no-store'
+    });
+  
+    try {
+      const count = await exporter.streamContacts(rows, res, { format, columns });
+      logger.info(`Exported ${count} contacts as ${format} (${columns.join(', ')}) by ${req.apiKey.name}`);
+    } catch (error) {
+      rows.destroy();
+      logger.error('Error exporting contacts:', error);
+      if (!res.headersSent && !res.destroyed) {
+        res.status(500).json({ 
+          error: 'Failed to export contacts',
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      } else {
+        res.destroy();
+      }
+    }
+  });
+
+  router.get('/api/contacts/:id', requireScope('contacts:read'), async (req, res) => {
+    try {
+      // ?form=slug scopes the lookup to a single form
+      const contact = await repositories.contacts.get(req.params.id, { form: req.query.form });
+    
+      if (!contact) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+    
+      res.json({
+        success: true,
+        data: contact
+      });
+    } catch (error) {
+      logger.error('Error fetching contact:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/contacts/:id/attachments/:attachmentId', requireScope('contacts:read'), async (req, res) => {
+    try {
+      const attachment = await attachments.findAttachment(pool, req.params.id, req.params.attachmentId);
+      if (!attachment) {
+        return res.status(404).json({ error: 'Attachment not found' });
+      }
+    
+      await attachments.sendAttachment(res, storage, attachment);
+    } catch (error) {
+      logger.error('Error downloading attachment:', error);
+      res.status(error.code === 'ENOENT' ? 404 : 500).json({ 
+        error: error.code === 'ENOENT' ? 'Attachment file is missing' : 'Failed to download attachment',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Status, assignee and internal notes. Notes and status changes are
+  // attributed to the API key making the request.
+  router.patch('/api/contacts/:id', requireScope('contacts:write'), workflow.validateContactUpdate, async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+    } catch (error) {
+      logger.error('Error updating contact:', error);
+      return res.status(500).json({ 
+        error: 'Failed to update contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  
+    try {
+      await client.query('BEGIN');
+      const contact = await workflow.updateContact(client, req.params.id, req.body, req.apiKey.name);
+    
+      if (!contact) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+    
+      await client.query('COMMIT');
+      logger.info(`Contact updated: ${contact.id} (status: ${contact.status}, assignee: ${contact.assignee || '-'}) by ${req.apiKey.name}`);
+    
+      res.json({
+        success: true,
+        data: {
+          ...contact,
+          notes: await workflow.listNotes(pool, contact.id),
+          history: await workflow.listHistory(pool, contact.id)
+        }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+    
+      if (error instanceof workflow.TransitionError) {
+        return res.status(409).json({ error: error.message, allowed: error.allowed });
+      }
+    
+      logger.error('Error updating contact:', error);
+      res.status(500).json({ 
+        error: 'Failed to update contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Releases a quarantined contact: it is announced as if it had just arrived
+  router.post('/api/contacts/:id/release', requireScope('contacts:write'), async (req, res) => {
+    let client;
+    try {
+      client = await pool.connect();
+    } catch (error) {
+      logger.error('Error releasing contact:', error);
+      return res.status(500).json({ 
+        error: 'Failed to release contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  
+    try {
+      await client.query('BEGIN');
+      const result = await client.query(
+        `UPDATE contacts SET quarantined = false 
+         WHERE id = $1 AND quarantined 
+         RETURNING id, form_id, name, email, message, fields, created_at`,
+        [req.params.id]
+      );
+    
+      if (result.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({ error: 'Quarantined contact not found' });
+      }
+    
+      const { form_id: formId, ...contact } = result.rows[0];
+      const form = await forms.findFormById(client, formId);
+      await announceContact(client, form, contact, await attachments.listAttachments(client, contact.id));
+      await client.query('COMMIT');
+    
+      logger.info(`Contact released from quarantine: ${contact.email}`);
+      res.json({
+        success: true,
+        message: 'Contact released from quarantine',
+        data: { id: contact.id, email: contact.email }
+      });
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error('Error releasing contact:', error);
+      res.status(500).json({ 
+        error: 'Failed to release contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    } finally {
+      client.release();
+    }
+  });
+
+  router.delete('/api/contacts/:id', requireScope('contacts:delete'), async (req, res) => {
+    try {
+      // Files are removed after the row, so a failed delete never orphans the record
+      const deleted = await repositories.contacts.remove(req.params.id);
+    
+      if (!deleted) {
+        return res.status(404).json({ error: 'Contact not found' });
+      }
+    
+      const { contact, storageKeys } = deleted;
+      const failures = await attachments.removeStoredAttachments(storage, storageKeys);
+      failures.forEach(error => logger.error('Error removing attachment file:', error));
+    
+      logger.info(`Contact deleted: ${contact.email}`);
+    
+      res.json({
+        success: true,
+        message: 'Contact deleted successfully',
+        data: { id: contact.id, email: contact.email }
+      });
+    } catch (error) {
+      logger.error('Error deleting contact:', error);
+      res.status(500).json({ 
+        error: 'Failed to delete contact',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Data-subject requests: ?email= returns everything held for that address
+  router.get('/api/privacy/subjects', requireScope('privacy:manage'), privacy.validateSubjectQuery, async (req, res) => {
+    try {
+      const data = await privacy.collectSubjectData(pool, req.query.email);
+    
+      logger.info(`Subject data exported: ${data.contacts.length} contacts by ${req.apiKey.name}`);
+    
+      res.set('Content-Disposition', 'attachment; filename="subject-data.json"');
+      res.json({
+        success: true,
+        data
+      });
+    } catch (error) {
+      logger.error('Error exporting subject data:', error);
+      res.status(500).json({ 
+        error: 'Failed to export subject data',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/privacy/erasures', requireScope('privacy:manage'), async (req, res) => {
+    try {
+      const rows = await privacy.listErasures(pool, {
+        limit: Math.min(parseInt(req.query.limit) || 100, 500)
+      });
+    
+      res.json({
+        success: true,
+        data: rows
+      });
+    } catch (error) {
+      logger.error('Error fetching erasures:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch erasures',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Erases everything held for an email address. A tombstone is recorded even
+  // when nothing matched, so every request shows up in the audit trail.
+  router.post('/api/privacy/erasures', requireScope('privacy:manage'), privacy.validateErasure, async (req, res) => {
+    // Tombstones are keyed by it; see privacy.js
+    if (!privacy.HASH_SECRET_SET) {
+      return res.status(503).json({ error: 'Erasures need PRIVACY_HASH_SECRET to be set' });
+    }
+
+    let client;
+    try {
+      client = await pool.connect();
+    } catch (error) {
+      logger.error('Error erasing subject:', error);
+      return res.status(500).json({ 
+        error: 'Failed to erase subject',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  
+    try {
+      await client.query('BEGIN');
+      const { tombstone, storageKeys } = await privacy.eraseSubject(client, req.body.email, {
+        reason: req.body.reason,
+        requestedBy: req.apiKey.name
+      });
+      await client.query('COMMIT');
+    
+      const failures = await attachments.removeStoredAttachments(storage, storageKeys);
+      failures.forEach(error => logger.error('Error removing attachment file:', error));
+    
+      logger.info(`Subject erased: erasure ${tombstone.id}, ${tombstone.contact_ids.length} contacts by ${req.apiKey.name}`);
+    
+      res.status(201).json({
+        success: true,
+        data: tombstone
+      });
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      logger.error('Error erasing subject:', error);
+      res.status(500).json({ 
+        error: 'Failed to erase subject',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    } finally {
+      client.release();
+    }
+  });
+
+  // Notification outbox (staff emails)
+  router.get('/api/notifications', requireScope('notifications:manage'), async (req, res) => {
+    try {
+      const { status, limit = 50 } = req.query;
+      const rows = await notifications.listNotifications(pool, {
+        status,
+        limit: Math.min(parseInt(limit) || 50, 200)
+      });
+    
+      res.json({
+        success: true,
+        data: rows
+      });
+    } catch (error) {
+      logger.error('Error fetching notifications:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch notifications',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/notifications/:id/retry', requireScope('notifications:manage'), async (req, res) => {
+    try {
+      const job = await notifications.retryNotification(pool, req.params.id);
+      if (!job) {
+        return res.status(404).json({ error: 'Failed notification not found' });
+      }
+    
+      logger.info(`Notification ${job.id} queued for retry`);
+      res.json({
+        success: true,
+        data: job
+      });
+    } catch (error) {
+      logger.error('Error retrying notification:', error);
+      res.status(500).json({ 
+        error: 'Failed to retry notification',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Webhook subscriptions
+  router.get('/api/webhooks', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await webhooks.listWebhooks(pool)
+      });
+    } catch (error) {
+      logger.error('Error fetching webhooks:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch webhooks',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/webhooks', requireScope('webhooks:manage'), webhooks.validateWebhook, async (req, res) => {
+    try {
+      const webhook = await webhooks.createWebhook(pool, req.body);
+      logger.info(`Webhook created: ${webhook.id} -> ${webhook.url}`);
+    
+      // The secret is only shown here and on rotation
+      res.status(201).json({
+        success: true,
+        data: webhook
+      });
+    } catch (error) {
+      logger.error('Error creating webhook:', error);
+      res.status(500).json({ 
+        error: 'Failed to create webhook',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/webhooks/:id', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+      const webhook = await webhooks.findWebhook(pool, req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+    
+      res.json({
+        success: true,
+        data: webhook
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch webhook',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.patch('/api/webhooks/:id', requireScope('webhooks:manage'), webhooks.validateWebhook, async (req, res) => {
+    try {
+      const webhook = await webhooks.updateWebhook(pool, req.params.id, req.body);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+    
+      logger.info(`Webhook updated: ${webhook.id}`);
+      res.json({
+        success: true,
+        data: webhook
+      });
+    } catch (error) {
+      logger.error('Error updating webhook:', error);
+      res.status(500).json({ 
+        error: 'Failed to update webhook',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.delete('/api/webhooks/:id', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+      const webhook = await webhooks.deleteWebhook(pool, req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: 'Webhook not found' });
+      }
+    
+      logger.info(`Webhook deleted: ${webhook.id}`);
+      res.json({
+        success: true,
+        message: 'Webhook deleted successfully',
+        data: webhook
+      });
+    } catch (error) {
+      logger.error('Error deleting webhook:', error);
+      res.status(500).json({ 
+        error: 'Failed to delete webhook',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/webhooks/:id/deliveries', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+      const { status, limit = 50 } = req.query;
+      const rows = await webhooks.listDeliveries(pool, req.params.id, {
+        status,
+        limit: Math.min(parseInt(limit) || 50, 200)
+      });
+    
+      res.json({
+        success: true,
+        data: rows
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook deliveries:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch webhook deliveries',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.get('/api/webhooks/:id/deliveries/:deliveryId', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+      const delivery = await webhooks.findDelivery(pool, req.params.id, req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+    
+      res.json({
+        success: true,
+        data: delivery
+      });
+    } catch (error) {
+      logger.error('Error fetching webhook delivery:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch webhook delivery',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/webhooks/:id/deliveries/:deliveryId/replay', requireScope('webhooks:manage'), async (req, res) => {
+    try {
+      const delivery = await webhooks.replayDelivery(pool, req.params.id, req.params.deliveryId);
+      if (!delivery) {
+        return res.status(404).json({ error: 'Delivery not found' });
+      }
+    
+      logger.info(`Webhook delivery ${req.params.deliveryId} replayed as ${delivery.id}`);
+      res.status(202).json({
+        success: true,
+        data: delivery
+      });
+    } catch (error) {
+      logger.error('Error replaying webhook delivery:', error);
+      res.status(500).json({ 
+        error: 'Failed to replay webhook delivery',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // API keys. The plaintext key is only returned on creation.
+  router.get('/api/keys', requireScope('keys:manage'), async (req, res) => {
+    try {
+      res.json({
+        success: true,
+        data: await auth.listApiKeys(pool)
+      });
+    } catch (error) {
+      logger.error('Error fetching API keys:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch API keys',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.post('/api/keys', requireScope('keys:manage'), auth.validateApiKey, async (req, res) => {
+    // A key can't hand out more access than it has itself
+    const missing = req.body.scopes.filter(scope => !req.apiKey.scopes.includes(scope));
+    if (missing.length > 0) {
+      return res.status(403).json({ error: 'Forbidden', details: `Missing scope: ${missing.join(', ')}` });
+    }
+  
+    try {
+      const apiKey = await auth.createApiKey(pool, req.body);
+      logger.info(`API key created: ${apiKey.id} (${apiKey.name}) by ${req.apiKey.name}`);
+      res.status(201).json({
+        success: true,
+        data: apiKey
+      });
+    } catch (error) {
+      logger.error('Error creating API key:', error);
+      res.status(500).json({ 
+        error: 'Failed to create API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  router.delete('/api/keys/:id', requireScope('keys:manage'), async (req, res) => {
+    try {
+      const apiKey = await auth.revokeApiKey(pool, req.params.id);
+      if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found' });
+      }
+    
+      logger.info(`API key revoked: ${apiKey.id} (${apiKey.name}) by ${req.apiKey.name}`);
+      res.json({
+        success: true,
+        message: 'API key revoked successfully',
+        data: apiKey
+      });
+    } catch (error) {
+      logger.error('Error revoking API key:', error);
+      res.status(500).json({ 
+        error: 'Failed to revoke API key',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Health check endpoint with database check
+  router.get('/api/health', async (req, res) => {
+    const health = {
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      service: 'contact-form-api',
+      uptime: process.uptime(),
+      checks: {}
+    };
+  
+    try {
+      // Check database connection
+      if (usesDatabase) {
+        await pool.query('SELECT 1');
+      }
+      health.checks.database = usesDatabase ? 'healthy' : 'not used';
+    } catch (error) {
+      health.status = 'unhealthy';
+      health.checks.database = 'unhealthy';
+      health.databaseError = error.message;
+    }
+  
+    const statusCode = health.status === 'healthy' ? 200 : 503;
+    res.status(statusCode).json(health);
+  });
+
+  // Metrics endpoint
+  router.get('/api/metrics', requireScope('metrics:read'), async (req, res) => {
+    try {
+      const { form } = req.query;
+      const result = await pool.query(`
+        SELECT 
+          COUNT(*) as total_contacts,
+          COUNT(DISTINCT c.email) as unique_emails,
+          DATE(c.created_at) as date,
+          COUNT(*) as daily_count
+        FROM contacts c
+        LEFT JOIN forms f ON f.id = c.form_id
+        WHERE c.created_at >= CURRENT_DATE - INTERVAL '30 days'
+          AND NOT c.quarantined
+          AND ($1::text IS NULL OR f.slug = $1)
+        GROUP BY DATE(c.created_at)
+        ORDER BY date DESC
+      `, [form || null]);
+    
+      res.json({
+        success: true,
+        data: result.rows
+      });
+    } catch (error) {
+      logger.error('Error fetching metrics:', error);
+      res.status(500).json({ 
+        error: 'Failed to fetch metrics',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Log level, changeable without a restart. Applies to this process only.
+  router.get('/api/log-level', requireScope('logs:manage'), (req, res) => {
+    res.json({
+      success: true,
+      data: { level: logger.level, levels: LEVELS }
+    });
+  });
+
+  router.put('/api/log-level', requireScope('logs:manage'), validateLogLevel, (req, res) => {
+    const previous = logger.level;
+    logger.level = req.body.level;
+    logger.warn(`Log level changed from ${previous} to ${logger.level} by ${req.apiKey.name}`);
+    res.json({
+      success: true,
+      data: { level: logger.level, levels: LEVELS }
+    });
+  });
+
+  // API reference. Paths in the document are relative to where the router is mounted.
+  router.get('/api/openapi.json', (req, res) => {
+    res.json({ ...spec, servers: [{ url: req.baseUrl || '/' }] });
+  });
+
+  router.get('/api/docs', (req, res) => {
+    // Relative asset URLs on the page need the trailing slash
+    if (!req.originalUrl.split('?')[0].endsWith('/')) {
+      return res.redirect(301, `${req.baseUrl}/api/docs/`);
+    }
+    res.type('html').send(DOCS_PAGE);
+  });
+
+  router.use('/api/docs', express.static(swaggerUi.getAbsoluteFSPath(), { index: false }));
+
+  // Prometheus scrape endpoint
+  router.get('/metrics', requireScope('metrics:read'), async (req, res) => {
+    try {
+      res.set('Content-Type', metrics.register.contentType);
+      res.send(await metrics.register.metrics());
+    } catch (error) {
+      logger.error('Error collecting metrics:', error);
+      res.status(500).json({ 
+        error: 'Failed to collect metrics',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  });
+
+  // Error handling middleware
+  router.use((err, req, res, next) => {
+    logger.error('Unhandled error:', err);
+    res.status(500).json({ 
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? err.message : undefined
+    });
+  });
+
+  // Background workers; they all work off Postgres tables
+  function startWorkers() {
+    const mailer = notifications.createMailer();
+    if (mailer) {
+      workers.push(notifications.startOutboxWorker({ pool, mailer, logger }));
+      logger.info(`Notification worker started (SMTP: ${process.env.SMTP_HOST}:${process.env.SMTP_PORT || 587})`);
+    } else {
+      logger.warn('SMTP_HOST is not set; notifications will queue until it is configured');
+    }
+    
+    workers.push(webhooks.startWebhookWorker({ pool, logger }));
+    
+    workers.push(idempotency.startIdempotencyPurgeWorker({ pool, logger }));
+    
+    workers.push(spam.startChallengePurgeWorker({ pool, logger }));
+    
+    const retention = privacy.startRetentionWorker({ pool, storage, logger });
+    if (retention) {
+      workers.push(retention);
+      logger.info(`Retention worker started (anonymize after: ${privacy.ANONYMIZE_AFTER_DAYS || '-'} days, delete after: ${privacy.DELETE_AFTER_DAYS || '-'} days)`);
+    }
+  }
+
+  // Applies pending migrations (see migrate.js), seeds the default form and,
+  // unless { workers: false }, starts the background workers
+  router.initialize = async ({ workers: withWorkers = true } = {}) => {
+    if (usesDatabase) {
+      await migrate(pool, { logger });
+    }
+    await repositories.forms.ensureDefault(formSchema);
+    
+    if (usesDatabase) {
+      logger.info('Database initialized successfully');
+      if (withWorkers) {
+        startWorkers();
+      }
+    } else {
+      logger.warn(`DATA_STORE=${repositories.name}: data is lost on restart, and only the form and contact endpoints are available`);
+    }
+    
+    if (!adminKey && !authOptions.authenticate) {
+      logger.warn('ADMIN_API_KEY is not set; protected endpoints only accept keys from the api_keys table');
+    }
+    
+    if (!process.env.SPAM_SECRET) {
+      logger.warn('SPAM_SECRET is not set; spam challenges will not survive a restart or work across instances');
+    }
+
+    if (usesDatabase && !privacy.HASH_SECRET_SET) {
+      logger.warn('PRIVACY_HASH_SECRET is not set; data-subject erasures are disabled');
+    }
+  };
+
+  // Stops the background workers, waiting for any run in progress
+  router.close = async () => {
+    const stopping = workers;
+    workers = [];
+    await Promise.all(stopping.map(worker => worker.stop()));
+  };
+
+  return router;
+}
+
+module.exports = {
+  createContactRouter,
+  assignRequestId
+};
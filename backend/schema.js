@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { body, header, validationResult, matchedData } = require('express-validator');
+const { attachmentErrors } = require('./attachments');
+const i18n = require('./i18n');
+
+// Fields stored in their own columns on the contacts table.
+// Every other field in a schema ends up in the contacts.fields JSONB column,
+// except file fields, which are stored as attachments.
+const CORE_FIELDS = ['name', 'email', 'message'];
+
+const FIELD_TYPES = ['text', 'email', 'tel', 'url', 'number', 'date', 'textarea', 'select', 'checkbox', 'file'];
+
+const DEFAULT_SCHEMA_PATH = path.join(__dirname, 'form-schema.json');
+
+// What a "tel" field accepts
+const TEL_PATTERN = /^\+?[0-9\s().-]{5,30}$/;
+
+function optionValues(field) {
+  return (field.options || []).map(option => (typeof option === 'object' ? String(option.value) : String(option)));
+}
+
+// Throws if the schema can't be rendered or validated consistently
+function assertValidSchema(schema) {
+  if (!schema || !Array.isArray(schema.fields) || schema.fields.length === 0) {
+    throw new Error('Form schema must define a non-empty "fields" array');
+  }
+
+  const seen = new Set();
+  for (const field of schema.fields) {
+    if (!field || typeof field.name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9_]*$/.test(field.name)) {
+      throw new Error(`Invalid field name: ${JSON.stringify(field && field.name)}`);
+    }
+    if (seen.has(field.name)) {
+      throw new Error(`Duplicate field: ${field.name}`);
+    }
+    seen.add(field.name);
+
+    if (!FIELD_TYPES.includes(field.type)) {
+      throw new Error(`Unsupported type "${field.type}" for field ${field.name}`);
+    }
+    if (field.type === 'select' && optionValues(field).length === 0) {
+      throw new Error(`Select field ${field.name} must define options`);
+    }
+    if (field.type === 'file' && field.accept !== undefined
+      && (!Array.isArray(field.accept) || !field.accept.every(type => typeof type === 'string'))) {
+      throw new Error(`File field ${field.name} must list accepted types as an array of strings`);
+    }
+    if (field.pattern !== undefined) {
+      // Throws a SyntaxError for malformed patterns
+      new RegExp(field.pattern);
+    }
+  }
+
+  // Core fields map to NOT NULL columns, so every schema has to collect them
+  for (const name of CORE_FIELDS) {
+    const field = schema.fields.find(f => f.name === name);
+    if (!field || !field.required || field.type === 'file') {
+      throw new Error(`Form schema must include required field: ${name}`);
+    }
+  }
+
+  return schema;
+}
+
+function loadSchema(file = process.env.FORM_SCHEMA_PATH || DEFAULT_SCHEMA_PATH) {
+  const schema = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return assertValidSchema(schema);
+}
+
+function lengthMessage(label, min, max) {
+  if (min !== undefined && max !== undefined) {
+    return i18n.message('length_out_of_range', { label, min, max, count: max });
+  }
+  if (min !== undefined) {
+    return i18n.message('too_short', { label, min, count: min });
+  }
+  return i18n.message('too_long', { label, max, count: max });
+}
+
+function rangeMessage(label, min, max) {
+  if (min !== undefined && max !== undefined) {
+    return i18n.message('number_out_of_range', { label, min, max });
+  }
+  if (min !== undefined) {
+    return i18n.message('number_too_small', { label, min });
+  }
+  return i18n.message('number_too_large', { label, max });
+}
+
+function fieldChain(field) {
+  const label = field.label || field.name;
+  const chain = body(field.name);
+
+  if (field.type === 'checkbox') {
+    if (field.required) {
+      chain.custom(value => value === true || value === 'true' || value === 'on')
+        .withMessage(i18n.message('must_be_checked', { label }));
+    } else {
+      chain.optional({ values: 'falsy' }).isBoolean({ loose: true }).withMessage(i18n.message('invalid_boolean', { label }));
+    }
+    return chain.toBoolean();
+  }
+
+  if (field.required) {
+    chain.trim().notEmpty().withMessage(i18n.message('required', { label }));
+  } else {
+    chain.optional({ values: 'falsy' }).trim();
+  }
+
+  if (field.minLength !== undefined || field.maxLength !== undefined) {
+    chain.isLength({ min: field.minLength, max: field.maxLength })
+      .withMessage(lengthMessage(label, field.minLength, field.maxLength));
+  }
+
+  switch (field.type) {
+    case 'email':
+      chain.isEmail().withMessage(i18n.message('invalid_email')).normalizeEmail();
+      break;
+    case 'url':
+      chain.isURL().withMessage(i18n.message('invalid_url', { label }));
+      break;
+    case 'tel':
+      chain.matches(TEL_PATTERN).withMessage(i18n.message('invalid_phone', { label }));
+      break;
+    case 'date':
+      chain.isISO8601().withMessage(i18n.message('invalid_date', { label }));
+      break;
+    case 'number':
+      chain.isFloat({ min: field.min, max: field.max })
+        .withMessage(field.min !== undefined || field.max !== undefined
+          ? rangeMessage(label, field.min, field.max)
+          : i18n.message('invalid_number', { label }))
+        .toFloat();
+      break;
+    case 'select':
+      chain.isIn(optionValues(field)).withMessage(i18n.message('invalid_option', { label, options: optionValues(field).join(', ') }));
+      break;
+    default:
+      break;
+  }
+
+  if (field.pattern !== undefined) {
+    chain.matches(new RegExp(field.pattern)).withMessage(i18n.message('invalid_format', { label }, field.patternMessage));
+  }
+
+  return chain;
+}
+
+// Builds a middleware validating the request body against a schema.
+// `resolveSchema` receives the request, so the schema can depend on the route.
+// Error messages follow Accept-Language; each error also carries a stable `code`.
+function validateSubmission(resolveSchema) {
+  return async (req, res, next) => {
+    try {
+      const schema = resolveSchema(req);
+      await Promise.all(schema.fields
+        .filter(field => field.type !== 'file')
+        .map(field => fieldChain(field).run(req)));
+      await header('X-Client-Submission-Id').optional().isUUID()
+        .withMessage(i18n.message('invalid_submission_id'))
+        .run(req);
+
+      const errors = [
+        ...validationResult(req).array(),
+        ...attachmentErrors(schema, req.files)
+      ];
+      if (errors.length > 0) {
+        const language = i18n.requestLanguage(req);
+        res.vary('Accept-Language');
+        res.set('Content-Language', language);
+        return res.status(400).json({
+          error: 'Validation failed',
+          code: 'validation_failed',
+          details: errors.map(error => i18n.localizeError(error, language))
+        });
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+// Splits validated request data into core columns and custom fields.
+// Only fields declared in the schema are kept.
+function splitSubmission(schema, req) {
+  const data = matchedData(req, { locations: ['body'], includeOptionals: false });
+  const fields = {};
+
+  for (const field of schema.fields) {
+    if (!CORE_FIELDS.includes(field.name) && field.type !== 'file' && data[field.name] !== undefined) {
+      fields[field.name] = data[field.name];
+    }
+  }
+
+  return {
+    name: data.name,
+    email: data.email,
+    message: data.message,
+    fields
+  };
+}
+
+module.exports = {
+  CORE_FIELDS,
+  FIELD_TYPES,
+  TEL_PATTERN,
+  optionValues,
+  assertValidSchema,
+  loadSchema,
+  validateSubmission,
+  splitSubmission
+};
@@ -0,0 +1,116 @@
+const { query, validationResult } = require('express-validator');
+
+// Must match the configuration used by the contacts.search_vector column,
+// which indexes the name, the email (whole, and split at the @) and the message
+const SEARCH_CONFIG = 'english';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 16;
+
+// Snippets are built from HTML-escaped text, so the only markup in them is <mark>
+const HEADLINE_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=15, '
+  + 'ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "';
+
+// Splits `q` into terms:
+//   invoice          word (stemmed, so it also matches "invoices")
+//   "late invoice"   phrase, words adjacent and in order
+//   inv*             prefix
+//   -refund          excluded
+//   a OR b           either; terms are otherwise ANDed
+function parseSearchQuery(q) {
+  const terms = [];
+  let or = false;
+
+  for (const [, negated, phrase, word] of q.matchAll(/(-)?(?:"([^"]*)"?|(\S+))/g)) {
+    if (phrase === undefined && word === 'OR') {
+      or = terms.length > 0;
+      continue;
+    }
+
+    let type = 'phrase';
+    let text = phrase !== undefined ? phrase.trim() : word;
+    if (phrase === undefined && text.endsWith('*')) {
+      type = 'prefix';
+      // to_tsquery has its own syntax, so prefixes are reduced to letters and digits
+      text = text.replace(/[^\p{L}\p{N}]/gu, '');
+    }
+
+    if (text) {
+      terms.push({ type, text, negated: Boolean(negated), or });
+    }
+    or = false;
+  }
+
+  return terms.slice(0, MAX_TERMS);
+}
+
+// Turns `q` into a tsquery SQL expression whose placeholders start after
+// `paramCount`. Every term is passed as a parameter, never interpolated.
+// Returns null when `q` has nothing to search for.
+function buildSearchQuery(q, paramCount) {
+  const terms = parseSearchQuery(q);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const params = [];
+  const groups = [];
+
+  for (const term of terms) {
+    params.push(term.text);
+    const placeholder = `$${paramCount + params.length}`;
+
+    let expression = term.type === 'prefix'
+      ? `to_tsquery('${SEARCH_CONFIG}', ${placeholder} || ':*')`
+      : `phraseto_tsquery('${SEARCH_CONFIG}', ${placeholder})`;
+    if (term.negated) {
+      expression = `!!${expression}`;
+    }
+
+    if (term.or && groups.length > 0) {
+      groups[groups.length - 1].push(expression);
+    } else {
+      groups.push([expression]);
+    }
+  }
+
+  const sql = groups
+    .map(group => (group.length > 1 ? `(${group.join(' || ')})` : group[0]))
+    .join(' && ');
+
+  return { sql: `(${sql})`, params };
+}
+
+function escapedText(column) {
+  return `replace(replace(replace(${column}, '&', '&amp;'), '<', '&lt;'), '>', '&gt;')`;
+}
+
+function headline(column, tsquery) {
+  return `ts_headline('${SEARCH_CONFIG}', ${escapedText(column)}, ${tsquery}, '${HEADLINE_OPTIONS}')`;
+}
+
+const validateSearch = [
+  query('q')
+    .optional()
+    .isString().withMessage('q must be a string')
+    .isLength({ max: MAX_QUERY_LENGTH }).withMessage(`q must be at most ${MAX_QUERY_LENGTH} characters`),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  SEARCH_CONFIG,
+  parseSearchQuery,
+  buildSearchQuery,
+  headline,
+  validateSearch
+};
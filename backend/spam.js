@@ -0,0 +1,235 @@
+const crypto = require('crypto');
+const { startPollingWorker } = require('./worker');
+
+// Submission fields added by <contact-form>. Schema field names must start
+// with a letter, so these can never collide with a real field.
+const HONEYPOT_FIELD = '_website';
+const TOKEN_FIELD = '_token';
+const SOLUTION_FIELD = '_solution';
+
+const POW_DIFFICULTY = parseInt(process.env.SPAM_POW_DIFFICULTY) || 16; // leading zero bits
+const MIN_FILL_MS = parseInt(process.env.SPAM_MIN_FILL_MS) || 3000;
+const TOKEN_TTL_MS = parseInt(process.env.SPAM_TOKEN_TTL_MS) || 2 * 60 * 60 * 1000; // 2 hours
+const THRESHOLD = parseInt(process.env.SPAM_THRESHOLD) || 50;
+const MAX_LINKS = parseInt(process.env.SPAM_MAX_LINKS) || 2;
+// API clients and scripts don't fetch a challenge, so by default a missing
+// token only adds to other signals. SPAM_REQUIRE_TOKEN=true quarantines it.
+const REQUIRE_TOKEN = process.env.SPAM_REQUIRE_TOKEN === 'true';
+const CHALLENGE_PURGE_INTERVAL_MS = 60 * 60 * 1000;
+const CHALLENGE_PURGE_BATCH_SIZE = 1000;
+
+// Without SPAM_SECRET tokens are only valid for the lifetime of this process
+// (and only on this instance), which is fine for development
+const SECRET = process.env.SPAM_SECRET || crypto.randomBytes(32).toString('hex');
+
+// Points added per signal; a submission scoring THRESHOLD or more is quarantined
+const WEIGHTS = {
+  honeypot: 100,
+  missing_token: REQUIRE_TOKEN ? THRESHOLD : 20,
+  invalid_token: 50,
+  expired_token: 30,
+  reused_token: 50,
+  too_fast: 50,
+  invalid_solution: 50,
+  links: 15,
+  markup: 25,
+  link_in_name: 30,
+  shouting: 10
+};
+
+// Challenges already used, kept until their token would expire anyway: in
+// spent_challenges when there is a database, else in this process
+const usedChallenges = new Map();
+
+function hmac(value) {
+  return crypto.createHmac('sha256', SECRET).update(value).digest('base64url');
+}
+
+// Stateless token: base64url(JSON) + "." + HMAC. It doubles as the signed
+// render timestamp (`t`) and carries the proof-of-work challenge (`c`).
+function issueChallenge(formSlug) {
+  const claims = {
+    f: formSlug,
+    c: crypto.randomBytes(16).toString('hex'),
+    d: POW_DIFFICULTY,
+    t: Date.now()
+  };
+  const encoded = Buffer.from(JSON.stringify(claims)).toString('base64url');
+
+  return {
+    token: `${encoded}.${hmac(encoded)}`,
+    challenge: claims.c,
+    difficulty: claims.d,
+    issuedAt: new Date(claims.t).toISOString(),
+    expiresAt: new Date(claims.t + TOKEN_TTL_MS).toISOString()
+  };
+}
+
+function verifyToken(token) {
+  if (typeof token !== 'string' || !token.includes('.')) {
+    return null;
+  }
+
+  const [encoded, signature] = token.split('.');
+  const expected = Buffer.from(hmac(encoded));
+  const actual = Buffer.from(signature || '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function leadingZeroBits(buffer) {
+  let bits = 0;
+  for (const byte of buffer) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+// The client finds a counter such that sha256(`${challenge}:${counter}`)
+// starts with `difficulty` zero bits
+function verifySolution(challenge, difficulty, solution) {
+  if (typeof solution !== 'string' || !/^\d{1,12}$/.test(solution)) {
+    return false;
+  }
+  const digest = crypto.createHash('sha256').update(`${challenge}:${solution}`).digest();
+  return leadingZeroBits(digest) >= difficulty;
+}
+
+// Resolves false if the challenge was used before, other than by the same
+// client submission (a retry of one whose response was lost or that failed)
+async function markChallengeUsed(db, challenge, issuedAt, submissionId = null) {
+  const expiresAt = issuedAt + TOKEN_TTL_MS;
+  if (db) {
+    const result = await db.query(
+      `INSERT INTO spent_challenges (challenge, expires_at, submission_id) VALUES ($1, $2, $3)
+       ON CONFLICT (challenge) DO UPDATE SET expires_at = spent_challenges.expires_at
+       WHERE spent_challenges.submission_id = $3`,
+      [challenge, new Date(expiresAt), submissionId]
+    );
+    return result.rowCount === 1;
+  }
+
+  const now = Date.now();
+  if (usedChallenges.size > 10000) {
+    for (const [key, used] of usedChallenges) {
+      if (used.expiresAt <= now) {
+        usedChallenges.delete(key);
+      }
+    }
+  }
+
+  const used = usedChallenges.get(challenge);
+  if (used) {
+    return Boolean(submissionId) && used.submissionId === submissionId;
+  }
+  usedChallenges.set(challenge, { expiresAt, submissionId });
+  return true;
+}
+
+async function purgeSpentChallenges(db) {
+  const result = await db.query(
+    `DELETE FROM spent_challenges
+     WHERE challenge IN (SELECT challenge FROM spent_challenges WHERE expires_at < NOW() LIMIT $1)`,
+    [CHALLENGE_PURGE_BATCH_SIZE]
+  );
+  return result.rowCount;
+}
+
+function startChallengePurgeWorker({ pool, logger, intervalMs = CHALLENGE_PURGE_INTERVAL_MS }) {
+  return startPollingWorker({
+    name: 'Spent challenge purge',
+    runOnce: async () => (await purgeSpentChallenges(pool)) === CHALLENGE_PURGE_BATCH_SIZE,
+    logger,
+    intervalMs,
+    batchSize: 100
+  });
+}
+
+function countLinks(text) {
+  return (text.match(/\bhttps?:\/\/|\bwww\./gi) || []).length;
+}
+
+function isShouting(text) {
+  const letters = text.replace(/[^a-zA-Z]/g, '');
+  return letters.length >= 20 && letters.replace(/[^A-Z]/g, '').length / letters.length > 0.7;
+}
+
+// Resolves { score, reasons }; the caller decides what to do. Spent
+// challenges are recorded in `db` (a pool or client), if given, with the
+// submission's X-Client-Submission-Id (`submissionId`).
+async function scoreSubmission({ db, submissionId = null, formSlug, body = {}, name = '', message = '', fields = {} }) {
+  const reasons = [];
+  let score = 0;
+  const flag = (reason, points = WEIGHTS[reason]) => {
+    reasons.push(reason);
+    score += points;
+  };
+
+  if (body[HONEYPOT_FIELD]) {
+    flag('honeypot');
+  }
+
+  const claims = body[TOKEN_FIELD] ? verifyToken(body[TOKEN_FIELD]) : null;
+  if (!body[TOKEN_FIELD]) {
+    flag('missing_token');
+  } else if (!claims || claims.f !== formSlug) {
+    flag('invalid_token');
+  } else {
+    const age = Date.now() - claims.t;
+    if (age > TOKEN_TTL_MS) {
+      flag('expired_token');
+    } else if (age < MIN_FILL_MS) {
+      flag('too_fast');
+    }
+
+    if (!verifySolution(claims.c, claims.d, body[SOLUTION_FIELD])) {
+      flag('invalid_solution');
+    } else if (!(await markChallengeUsed(db, claims.c, claims.t, submissionId))) {
+      flag('reused_token');
+    }
+  }
+
+  const text = [message, ...Object.values(fields).map(String)].join('\n');
+  const links = countLinks(text);
+  if (links > MAX_LINKS) {
+    flag('links', WEIGHTS.links * (links - MAX_LINKS));
+  }
+  if (/<a\s[^>]*href|\[url[=\]]/i.test(text)) {
+    flag('markup');
+  }
+  if (countLinks(name) > 0) {
+    flag('link_in_name');
+  }
+  if (isShouting(message)) {
+    flag('shouting');
+  }
+
+  return { score: Math.min(score, 1000), reasons };
+}
+
+function isQuarantined(score) {
+  return score >= THRESHOLD;
+}
+
+module.exports = {
+  THRESHOLD,
+  HONEYPOT_FIELD,
+  TOKEN_FIELD,
+  SOLUTION_FIELD,
+  issueChallenge,
+  scoreSubmission,
+  isQuarantined,
+  purgeSpentChallenges,
+  startChallengePurgeWorker
+};
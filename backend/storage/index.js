@@ -0,0 +1,27 @@
+const createLocalStorage = require('./local');
+
+// Attachment storage backends. Each factory returns an object with:
+//   save(buffer) -> Promise<key>
+//   open(key)    -> Promise<Readable>
+//   remove(key)  -> Promise<void>
+const drivers = {
+  local: createLocalStorage
+};
+
+function registerStorage(name, factory) {
+  drivers[name] = factory;
+}
+
+function createStorage(options = {}) {
+  const driver = options.driver || process.env.ATTACHMENT_STORAGE || 'local';
+  const factory = drivers[driver];
+  if (!factory) {
+    throw new Error(`Unknown attachment storage driver: ${driver}`);
+  }
+  return factory(options);
+}
+
+module.exports = {
+  createStorage,
+  registerStorage
+};
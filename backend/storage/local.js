@@ -0,0 +1,44 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores attachments as plain files under a root directory.
+// Keys are generated here and never derived from user-supplied filenames.
+function createLocalStorage(options = {}) {
+  const root = path.resolve(options.root || process.env.ATTACHMENT_DIR || path.join(__dirname, '..', 'uploads'));
+
+  function resolveKey(key) {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  }
+
+  return {
+    name: 'local',
+
+    async save(buffer) {
+      const now = new Date();
+      const month = String(now.getUTCMonth() + 1).padStart(2, '0');
+      const key = `${now.getUTCFullYear()}/${month}/${crypto.randomUUID()}`;
+      const file = resolveKey(key);
+
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer, { flag: 'wx', mode: 0o640 });
+      return key;
+    },
+
+    async open(key) {
+      const file = resolveKey(key);
+      await fs.promises.access(file, fs.constants.R_OK);
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+module.exports = createLocalStorage;
@@ -0,0 +1,138 @@
+const request = require('supertest');
+const { ROOT_KEY, createApp, contact } = require('./helpers');
+
+describe('contacts', () => {
+  let app;
+  const auth = `Bearer ${ROOT_KEY}`;
+
+  async function submit(count) {
+    const ids = [];
+    for (let i = 1; i <= count; i++) {
+      const res = await request(app)
+        .post('/api/contacts')
+        .send(contact({ name: `Person ${i}`, email: `person${i}@example.com` }))
+        .expect(201);
+      ids.push(res.body.data.id);
+    }
+    return ids;
+  }
+
+  beforeEach(async () => {
+    app = await createApp();
+  });
+
+  describe('GET /api/contacts', () => {
+    test('lists newest first with page pagination', async () => {
+      const ids = await submit(3);
+
+      const res = await request(app).get('/api/contacts?quarantined=all&limit=2').set('Authorization', auth).expect(200);
+
+      expect(res.body.data.map(row => row.id)).toEqual([ids[2], ids[1]]);
+      expect(res.body.pagination).toMatchObject({ page: 1, limit: 2, total: 3, totalPages: 2, prev: null });
+      expect(res.headers.link).toContain('rel="next"');
+    });
+
+    test('walks every page with cursors, forward and back', async () => {
+      const ids = await submit(5);
+      const seen = [];
+
+      let res = await request(app).get('/api/contacts?quarantined=all&limit=2&sort=name').set('Authorization', auth).expect(200);
+      seen.push(...res.body.data.map(row => row.id));
+      while (res.body.pagination.next) {
+        res = await request(app)
+          .get(`/api/contacts?quarantined=all&limit=2&sort=name&cursor=${res.body.pagination.next}`)
+          .set('Authorization', auth)
+          .expect(200);
+        seen.push(...res.body.data.map(row => row.id));
+      }
+      expect(seen).toEqual(ids);
+
+      res = await request(app)
+        .get(`/api/contacts?quarantined=all&limit=2&sort=name&cursor=${res.body.pagination.prev}`)
+        .set('Authorization', auth)
+        .expect(200);
+      expect(res.body.data.map(row => row.id)).toEqual([ids[2], ids[3]]);
+    });
+
+    test('returns only the requested fields', async () => {
+      await submit(1);
+
+      const res = await request(app).get('/api/contacts?quarantined=all&fields=id,message').set('Authorization', auth).expect(200);
+
+      expect(Object.keys(res.body.data[0])).toEqual(['id', 'message']);
+    });
+
+    test('caps limit and rejects invalid parameters', async () => {
+      const capped = await request(app).get('/api/contacts?limit=1000000').set('Authorization', auth).expect(200);
+      expect(capped.body.pagination.limit).toBe(100);
+
+      for (const query of ['page=-1', 'limit=0', 'sort=password', 'fields=secret', 'status=bogus', 'cursor=garbage']) {
+        await request(app).get(`/api/contacts?${query}`).set('Authorization', auth).expect(400);
+      }
+    });
+
+    test('filters by email', async () => {
+      const ids = await submit(2);
+
+      const res = await request(app).get('/api/contacts?quarantined=all&email=person2@example.com').set('Authorization', auth).expect(200);
+
+      expect(res.body.data.map(row => row.id)).toEqual([ids[1]]);
+    });
+  });
+
+  describe('GET /api/contacts/export', () => {
+    test('streams matching contacts as CSV', async () => {
+      await submit(2);
+
+      const res = await request(app)
+        .get('/api/contacts/export?columns=name,email,form')
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.headers['content-type']).toContain('text/csv');
+      expect(res.text).toBe('\uFEFFname,email,form\r\nPerson 2,person2@example.com,contact\r\nPerson 1,person1@example.com,contact\r\n');
+    });
+
+    test('takes the list filters, and ndjson', async () => {
+      await submit(3);
+
+      const res = await request(app)
+        .get('/api/contacts/export?format=ndjson&columns=id,email&email=person2@example.com')
+        .set('Authorization', auth)
+        .expect(200);
+
+      expect(res.text.trim().split('\n').map(line => JSON.parse(line))).toEqual([{ id: 2, email: 'person2@example.com' }]);
+    });
+  });
+
+  describe('GET /api/contacts/:id', () => {
+    test('returns the contact with its message', async () => {
+      const [id] = await submit(1);
+
+      const res = await request(app).get(`/api/contacts/${id}`).set('Authorization', auth).expect(200);
+
+      expect(res.body.data).toMatchObject({ id, name: 'Person 1', message: contact().message, attachments: [] });
+    });
+
+    test('answers 404 for unknown and malformed ids', async () => {
+      await request(app).get('/api/contacts/999').set('Authorization', auth).expect(404);
+      await request(app).get('/api/contacts/abc').set('Authorization', auth).expect(404);
+    });
+
+    test('scopes the lookup with ?form=', async () => {
+      const [id] = await submit(1);
+
+      await request(app).get(`/api/contacts/${id}?form=other`).set('Authorization', auth).expect(404);
+    });
+  });
+
+  describe('DELETE /api/contacts/:id', () => {
+    test('deletes the contact', async () => {
+      const [id] = await submit(1);
+
+      await request(app).delete(`/api/contacts/${id}`).set('Authorization', auth).expect(200);
+      await request(app).get(`/api/contacts/${id}`).set('Authorization', auth).expect(404);
+      await request(app).delete(`/api/contacts/${id}`).set('Authorization', auth).expect(404);
+    });
+  });
+});
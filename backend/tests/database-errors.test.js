@@ -0,0 +1,51 @@
+process.env.PRIVACY_HASH_SECRET = 'test-privacy-secret';
+
+const request = require('supertest');
+const { ROOT_KEY, createApp } = require('./helpers');
+const { createRepositories } = require('../repositories');
+
+// Routes that take a client from the pool answer 500 when it can't hand one
+// out, rather than leaving the request hanging
+describe('database unavailable', () => {
+  let app;
+  const auth = `Bearer ${ROOT_KEY}`;
+
+  beforeEach(async () => {
+    const failure = () => Promise.reject(new Error('connect ECONNREFUSED'));
+    const pool = { connect: failure, query: failure };
+    app = await createApp({
+      pool,
+      repositories: createRepositories({ driver: 'postgres', pool }),
+      initialize: false
+    });
+  });
+
+  test('POST /api/privacy/erasures', async () => {
+    const res = await request(app)
+      .post('/api/privacy/erasures')
+      .set('Authorization', auth)
+      .send({ email: 'ada@example.com' })
+      .expect(500);
+
+    expect(res.body.error).toBe('Failed to erase subject');
+  });
+
+  test('PATCH /api/contacts/:id', async () => {
+    const res = await request(app)
+      .patch('/api/contacts/1')
+      .set('Authorization', auth)
+      .send({ status: 'open' })
+      .expect(500);
+
+    expect(res.body.error).toBe('Failed to update contact');
+  });
+
+  test('POST /api/contacts/:id/release', async () => {
+    const res = await request(app)
+      .post('/api/contacts/1/release')
+      .set('Authorization', auth)
+      .expect(500);
+
+    expect(res.body.error).toBe('Failed to release contact');
+  });
+});
@@ -0,0 +1,46 @@
+const express = require('express');
+const winston = require('winston');
+const { createContactRouter } = require('../router');
+
+const ROOT_KEY = 'test-root-key';
+
+// The API on DATA_STORE=memory, mounted like server.js does, for supertest.
+// OpenAPI checks are strict, so a response that drifts from the spec fails
+// the test that got it. `initialize: false` skips router.initialize(), for
+// apps given a pool that can't run migrations.
+async function createApp({ initialize = true, ...options } = {}) {
+  process.env.DATA_STORE = 'memory';
+
+  const router = createContactRouter({
+    logger: winston.createLogger({ silent: true }),
+    auth: { adminKey: ROOT_KEY },
+    limits: { max: 0 },
+    openapiValidation: 'strict',
+    ...options
+  });
+  if (initialize) {
+    await router.initialize();
+  }
+
+  const app = express();
+  app.use(router);
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Endpoint not found' });
+  });
+  return app;
+}
+
+function contact(overrides = {}) {
+  return {
+    name: 'Ada Lovelace',
+    email: 'ada@example.com',
+    message: 'I would like to hear more about your engines.',
+    ...overrides
+  };
+}
+
+module.exports = {
+  ROOT_KEY,
+  createApp,
+  contact
+};
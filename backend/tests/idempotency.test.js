@@ -0,0 +1,23 @@
+const idempotency = require('../idempotency');
+
+describe('idempotency keys', () => {
+  const request = { key: 'order-1', scope: 'POST /api/contacts', fingerprint: 'f'.repeat(64) };
+
+  test('a key whose row keeps disappearing is retried once, then reported as in use', async () => {
+    const db = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+
+    await expect(idempotency.claim(db, request)).resolves.toEqual({ conflict: 'in_progress' });
+    expect(db.query).toHaveBeenCalledTimes(4);
+  });
+
+  test('a row purged once is claimed on the retry', async () => {
+    const db = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ key: 'order-1' }] })
+    };
+
+    await expect(idempotency.claim(db, request)).resolves.toEqual({ claimed: true });
+  });
+});
@@ -0,0 +1,24 @@
+const { maskText } = require('../logger');
+
+describe('log redaction', () => {
+  test('masks email addresses', () => {
+    expect(maskText('Contact saved: john.doe@example.com (form: contact)'))
+      .toBe('Contact saved: j***@example.com (form: contact)');
+  });
+
+  test('masks percent-encoded addresses in URLs', () => {
+    const line = '::1 - - "GET /api/privacy/subjects?email=john.doe%40example.com HTTP/1.1" 200';
+
+    expect(maskText(line)).toBe('[ip] - - "GET /api/privacy/subjects?email=j***%40example.com HTTP/1.1" 200');
+  });
+
+  test('masks the ?email= filter as URLSearchParams encodes it', () => {
+    const url = `/api/contacts?${new URLSearchParams({ email: 'ada+inbox@example.org', limit: '20' })}`;
+
+    expect(maskText(url)).toBe('/api/contacts?email=a***%40example.org&limit=20');
+  });
+
+  test('masks IP addresses and leaves timestamps alone', () => {
+    expect(maskText('from 203.0.113.7 at 2026-10-19 18:01:10.701')).toBe('from [ip] at 2026-10-19 18:01:10.701');
+  });
+});
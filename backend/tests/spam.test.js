@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const spam = require('../spam');
+
+function solve({ challenge, difficulty }) {
+  for (let counter = 0; ; counter++) {
+    const digest = crypto.createHash('sha256').update(`${challenge}:${counter}`).digest();
+    if (digest.readUInt32BE(0) >>> (32 - difficulty) === 0) {
+      return String(counter);
+    }
+  }
+}
+
+describe('spam scoring', () => {
+  test('a submission without a token is not quarantined on that alone', async () => {
+    const { score, reasons } = await spam.scoreSubmission({ formSlug: 'contact', body: {} });
+
+    expect(reasons).toEqual(['missing_token']);
+    expect(spam.isQuarantined(score)).toBe(false);
+  });
+
+  test('a solved challenge can only be used once', async () => {
+    const challenge = spam.issueChallenge('contact');
+    const body = { [spam.TOKEN_FIELD]: challenge.token, [spam.SOLUTION_FIELD]: solve(challenge) };
+
+    const first = await spam.scoreSubmission({ formSlug: 'contact', body });
+    const replay = await spam.scoreSubmission({ formSlug: 'contact', body });
+
+    expect(first.reasons).not.toContain('reused_token');
+    expect(replay.reasons).toContain('reused_token');
+  });
+
+  test('a retry of the same client submission may use its challenge again', async () => {
+    const challenge = spam.issueChallenge('contact');
+    const body = { [spam.TOKEN_FIELD]: challenge.token, [spam.SOLUTION_FIELD]: solve(challenge) };
+    const submissionId = '0d7e2b1c-4f3a-4e8b-9c61-2a5f0b7d9e14';
+
+    await spam.scoreSubmission({ formSlug: 'contact', body, submissionId });
+    const retry = await spam.scoreSubmission({ formSlug: 'contact', body, submissionId });
+    const other = await spam.scoreSubmission({ formSlug: 'contact', body, submissionId: '5b1f6c0e-8a2d-4c3b-b7e9-1d4a6f8c2e50' });
+
+    expect(retry.reasons).not.toContain('reused_token');
+    expect(other.reasons).toContain('reused_token');
+  });
+
+  test('spent challenges are recorded in the database when there is one', async () => {
+    const challenge = spam.issueChallenge('contact');
+    const body = { [spam.TOKEN_FIELD]: challenge.token, [spam.SOLUTION_FIELD]: solve(challenge) };
+    const db = { query: jest.fn().mockResolvedValue({ rowCount: 0 }) };
+
+    const { reasons } = await spam.scoreSubmission({ db, formSlug: 'contact', body });
+
+    expect(db.query).toHaveBeenCalledWith(expect.stringContaining('spent_challenges'), [challenge.challenge, expect.any(Date), null]);
+    expect(reasons).toContain('reused_token');
+  });
+});
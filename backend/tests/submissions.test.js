@@ -0,0 +1,77 @@
+const request = require('supertest');
+const { ROOT_KEY, createApp, contact } = require('./helpers');
+
+describe('submissions', () => {
+  let app;
+
+  beforeEach(async () => {
+    app = await createApp();
+  });
+
+  test('GET /api/contacts/schema returns the default form fields', async () => {
+    const res = await request(app).get('/api/contacts/schema').expect(200);
+
+    expect(res.body.data.fields.map(field => field.name)).toEqual(['name', 'email', 'message', 'attachments']);
+  });
+
+  test('POST /api/contacts saves a JSON submission', async () => {
+    const res = await request(app).post('/api/contacts').send(contact()).expect(201);
+
+    expect(res.body.success).toBe(true);
+    expect(res.body.data).toMatchObject({ name: 'Ada Lovelace', email: 'ada@example.com', form: 'contact' });
+    expect(res.headers['x-request-id']).toBeTruthy();
+  });
+
+  test('POST /api/contacts accepts form-encoded bodies', async () => {
+    const res = await request(app)
+      .post('/api/contacts')
+      .type('form')
+      .send(contact({ email: 'grace@example.com' }))
+      .expect(201);
+
+    expect(res.body.data.email).toBe('grace@example.com');
+  });
+
+  test('POST /api/contacts rejects invalid fields with their codes', async () => {
+    const res = await request(app)
+      .post('/api/contacts')
+      .send(contact({ email: 'not-an-email', message: 'short' }))
+      .expect(400);
+
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.details.map(detail => detail.path).sort()).toEqual(['email', 'message']);
+    expect(res.body.requestId).toBeTruthy();
+  });
+
+  test('POST /api/contacts requires the required fields', async () => {
+    const res = await request(app).post('/api/contacts').send({ name: 'Ada' }).expect(400);
+
+    expect(res.body.details.map(detail => detail.path)).toEqual(expect.arrayContaining(['email', 'message']));
+  });
+
+  test('validation messages follow Accept-Language', async () => {
+    const res = await request(app)
+      .post('/api/contacts')
+      .set('Accept-Language', 'de')
+      .send(contact({ email: 'nope' }))
+      .expect(400);
+
+    expect(res.headers['content-language']).toBe('de');
+  });
+
+  // Keys are kept in Postgres; without it a retry is caught as a duplicate
+  test('a retried submission is not saved twice', async () => {
+    const first = await request(app).post('/api/contacts').set('Idempotency-Key', 'order-1').send(contact()).expect(201);
+    const retry = await request(app).post('/api/contacts').set('Idempotency-Key', 'order-1').send(contact()).expect(200);
+
+    expect(retry.body.duplicate).toBe(true);
+    expect(retry.body.data.id).toBe(first.body.data.id);
+
+    const list = await request(app).get('/api/contacts?quarantined=all').set('Authorization', `Bearer ${ROOT_KEY}`).expect(200);
+    expect(list.body.pagination.total).toBe(1);
+  });
+
+  test('POST /api/forms/:slug/submissions answers 404 for an unknown form', async () => {
+    await request(app).post('/api/forms/nope/submissions').send(contact()).expect(404);
+  });
+});
@@ -0,0 +1,344 @@
+const crypto = require('crypto');
+const { body, validationResult } = require('express-validator');
+const { backoffDelay } = require('./retry');
+const { startPollingWorker } = require('./worker');
+
+const EVENTS = ['contact.created', 'contact.deleted'];
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 10;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000;
+// A claimed delivery isn't picked up again for this long, so another worker
+// only retries it if the one sending it died
+const CLAIM_TTL_MS = TIMEOUT_MS + 60000;
+
+// Stored with each attempt; enough to debug without keeping whole responses
+const MAX_LOGGED_BODY = 2048;
+
+// The secret is only ever returned when a webhook is created or rotated
+const WEBHOOK_COLUMNS = 'id, url, events, description, active, created_at, updated_at';
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// Receivers recompute HMAC-SHA256(secret, `${timestamp}.${rawBody}`) and
+// compare it to the hex digest in X-Webhook-Signature ("sha256=<hex>")
+function sign(secret, timestamp, payload) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${payload}`).digest('hex');
+}
+
+// Fans an event out to every active subscription. Pass the transaction client
+// of the change that caused the event so deliveries only exist if it commits.
+async function enqueueEvent(db, event, data) {
+  const payload = {
+    id: crypto.randomUUID(),
+    type: event,
+    created_at: new Date().toISOString(),
+    data
+  };
+
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload)
+     SELECT id, $1::text, $2 FROM webhooks WHERE active AND $1::text = ANY(events)
+     RETURNING id`,
+    [event, payload]
+  );
+  return result.rowCount;
+}
+
+async function listWebhooks(db) {
+  const result = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY id`);
+  return result.rows;
+}
+
+async function findWebhook(db, id) {
+  const result = await db.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+async function createWebhook(db, { url, events, description, active = true, secret }) {
+  const result = await db.query(
+    `INSERT INTO webhooks (url, events, description, active, secret)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING ${WEBHOOK_COLUMNS}, secret`,
+    [url, events, description || null, active, secret || generateSecret()]
+  );
+  return result.rows[0];
+}
+
+// Only the provided keys change; `secret` replaces the secret and
+// `rotateSecret: true` issues a new one
+async function updateWebhook(db, id, { url, events, description, active, secret, rotateSecret }) {
+  const result = await db.query(
+    `UPDATE webhooks SET
+       url = COALESCE($2, url),
+       events = COALESCE($3, events),
+       description = CASE WHEN $4::boolean THEN $5 ELSE description END,
+       active = COALESCE($6, active),
+       secret = COALESCE($7, secret),
+       updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1
+     RETURNING ${WEBHOOK_COLUMNS}${rotateSecret ? ', secret' : ''}`,
+    [
+      id,
+      url === undefined ? null : url,
+      events === undefined ? null : events,
+      description !== undefined,
+      description || null,
+      active === undefined ? null : active,
+      rotateSecret ? generateSecret() : secret || null
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+async function deleteWebhook(db, id) {
+  const result = await db.query('DELETE FROM webhooks WHERE id = $1 RETURNING id, url', [id]);
+  return result.rows[0] || null;
+}
+
+async function listDeliveries(db, webhookId, { status, limit = 50 } = {}) {
+  const result = await db.query(
+    `SELECT id, webhook_id, event, status, attempts, response_status, last_error,
+            next_attempt_at, replay_of, created_at, delivered_at
+     FROM webhook_deliveries
+     WHERE webhook_id = $1 AND ($2::text IS NULL OR status = $2)
+     ORDER BY id DESC
+     LIMIT $3`,
+    [webhookId, status || null, limit]
+  );
+  return result.rows;
+}
+
+async function findDelivery(db, webhookId, deliveryId) {
+  const result = await db.query(
+    `SELECT id, webhook_id, event, payload, status, attempts, response_status, last_error,
+            next_attempt_at, replay_of, created_at, delivered_at
+     FROM webhook_deliveries
+     WHERE webhook_id = $1 AND id = $2`,
+    [webhookId, deliveryId]
+  );
+  const delivery = result.rows[0];
+  if (!delivery) {
+    return null;
+  }
+
+  const attempts = await db.query(
+    `SELECT attempt, response_status, response_body, error, duration_ms, created_at
+     FROM webhook_delivery_attempts
+     WHERE delivery_id = $1
+     ORDER BY attempt`,
+    [deliveryId]
+  );
+  return { ...delivery, attempt_log: attempts.rows };
+}
+
+// Replays send the original payload (same event id) as a brand new delivery
+async function replayDelivery(db, webhookId, deliveryId) {
+  const result = await db.query(
+    `INSERT INTO webhook_deliveries (webhook_id, event, payload, replay_of)
+     SELECT webhook_id, event, payload, id FROM webhook_deliveries
+     WHERE webhook_id = $1 AND id = $2
+     RETURNING id, webhook_id, event, status, replay_of, created_at`,
+    [webhookId, deliveryId]
+  );
+  return result.rows[0] || null;
+}
+
+async function post(url, secret, delivery) {
+  const payload = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'contact-form-api-webhooks/1.0',
+      'X-Webhook-Id': String(delivery.id),
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Timestamp': String(timestamp),
+      'X-Webhook-Signature': `sha256=${sign(secret, timestamp, payload)}`
+    },
+    body: payload,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+
+  const text = await response.text().catch(() => '');
+  return { status: response.status, body: text.slice(0, MAX_LOGGED_BODY) };
+}
+
+// Claims a due delivery by counting the attempt and pushing next_attempt_at
+// past CLAIM_TTL_MS, committed before anything is sent
+async function claimNext(db) {
+  const { rows } = await db.query(
+    `WITH due AS (
+       SELECT d.id
+       FROM webhook_deliveries d
+       JOIN webhooks w ON w.id = d.webhook_id
+       WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP AND w.active
+       ORDER BY d.id
+       LIMIT 1
+       FOR UPDATE OF d SKIP LOCKED
+     )
+     UPDATE webhook_deliveries d
+     SET attempts = d.attempts + 1,
+         next_attempt_at = CURRENT_TIMESTAMP + $1 * INTERVAL '1 millisecond'
+     FROM due, webhooks w
+     WHERE d.id = due.id AND w.id = d.webhook_id
+     RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret`,
+    [CLAIM_TTL_MS]
+  );
+  return rows[0] || null;
+}
+
+// Claims and sends one due delivery, logging the attempt. Returns false when idle.
+async function deliverNext(pool, logger) {
+  const delivery = await claimNext(pool);
+  if (!delivery) {
+    return false;
+  }
+
+  const attempt = delivery.attempts;
+  const startedAt = Date.now();
+  let response = null;
+  let error = null;
+
+  try {
+    response = await post(delivery.url, delivery.secret, delivery);
+    if (response.status < 200 || response.status >= 300) {
+      error = `Receiver responded with HTTP ${response.status}`;
+    }
+  } catch (err) {
+    error = err.name === 'TimeoutError' ? `Timed out after ${TIMEOUT_MS}ms` : err.message;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      `INSERT INTO webhook_delivery_attempts (delivery_id, attempt, response_status, response_body, error, duration_ms)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [delivery.id, attempt, response && response.status, response && response.body, error, Date.now() - startedAt]
+    );
+
+    // The attempts check leaves the delivery alone if its claim ran out and
+    // another worker has claimed it since
+    if (!error) {
+      await client.query(
+        `UPDATE webhook_deliveries
+         SET status = 'delivered', response_status = $3, last_error = NULL,
+             delivered_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND attempts = $2`,
+        [delivery.id, attempt, response.status]
+      );
+      logger.info(`Webhook delivery ${delivery.id} (${delivery.event}) delivered`);
+    } else {
+      const failed = attempt >= MAX_ATTEMPTS;
+      await client.query(
+        `UPDATE webhook_deliveries
+         SET status = $3, response_status = $4, last_error = $5,
+             next_attempt_at = CURRENT_TIMESTAMP + $6 * INTERVAL '1 millisecond'
+         WHERE id = $1 AND attempts = $2`,
+        [
+          delivery.id,
+          attempt,
+          failed ? 'failed' : 'pending',
+          response && response.status,
+          error,
+          backoffDelay(attempt, { baseMs: RETRY_BASE_MS })
+        ]
+      );
+
+      if (failed) {
+        logger.error(`Webhook delivery ${delivery.id} failed permanently after ${attempt} attempts: ${error}`);
+      } else {
+        logger.warn(`Webhook delivery ${delivery.id} failed (attempt ${attempt}), will retry: ${error}`);
+      }
+    }
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function startWebhookWorker({ pool, logger, intervalMs = POLL_INTERVAL_MS, batchSize = 10 }) {
+  return startPollingWorker({
+    name: 'Webhook',
+    runOnce: () => deliverNext(pool, logger),
+    logger,
+    intervalMs,
+    batchSize
+  });
+}
+
+// Validation for create (POST) and partial update (PATCH)
+const validateWebhook = [
+  body('url')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be a valid http(s) URL'),
+
+  body('events')
+    .if((value, { req }) => req.method === 'POST' || value !== undefined)
+    .isArray({ min: 1 }).withMessage('Events must be a non-empty array'),
+
+  body('events.*')
+    .isIn(EVENTS).withMessage(`Events must be one of: ${EVENTS.join(', ')}`),
+
+  body('description')
+    .optional({ values: 'null' })
+    .isString().withMessage('Description must be a string')
+    .isLength({ max: 200 }).withMessage('Description must be at most 200 characters'),
+
+  body('active')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('Active must be a boolean'),
+
+  body('secret')
+    .optional()
+    .isString().isLength({ min: 16, max: 200 }).withMessage('Secret must be between 16 and 200 characters'),
+
+  body('rotateSecret')
+    .optional()
+    .isBoolean({ strict: true }).withMessage('rotateSecret must be a boolean')
+    .custom((value, { req }) => !(value && req.body.secret !== undefined))
+    .withMessage('Send either secret or rotateSecret, not both'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  EVENTS,
+  sign,
+  enqueueEvent,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  listDeliveries,
+  findDelivery,
+  replayDelivery,
+  deliverNext,
+  startWebhookWorker,
+  validateWebhook
+};
@@ -0,0 +1,44 @@
+// Runs `runOnce` on an interval until stopped. runOnce resolves to true when
+// it did some work, in which case it is called again (up to batchSize) before
+// sleeping. Returns { stop }; stop() resolves once a run in progress has finished.
+function startPollingWorker({ name, runOnce, logger, intervalMs, batchSize = 10 }) {
+  let timer = null;
+  let stopped = false;
+  let running = null;
+
+  async function run() {
+    try {
+      for (let i = 0; i < batchSize && !stopped; i++) {
+        if (!(await runOnce())) {
+          break;
+        }
+      }
+    } catch (error) {
+      logger.error(`${name} worker error:`, error);
+    }
+
+    if (!stopped) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  }
+
+  function tick() {
+    running = run().finally(() => {
+      running = null;
+    });
+  }
+
+  timer = setTimeout(tick, intervalMs);
+
+  return {
+    stop() {
+      stopped = true;
+      clearTimeout(timer);
+      return running || Promise.resolve();
+    }
+  };
+}
+
+module.exports = {
+  startPollingWorker
+};
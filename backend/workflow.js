@@ -0,0 +1,125 @@
+const { body, validationResult } = require('express-validator');
+
+const STATUSES = ['new', 'open', 'replied', 'closed', 'archived'];
+
+// Allowed next statuses. Closed and archived contacts can be reopened;
+// anything else has to move forward.
+const TRANSITIONS = {
+  new: ['open', 'replied', 'closed', 'archived'],
+  open: ['replied', 'closed', 'archived'],
+  replied: ['open', 'closed', 'archived'],
+  closed: ['open', 'archived'],
+  archived: ['open']
+};
+
+class TransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change status from ${from} to ${to}`);
+    this.name = 'TransitionError';
+    this.from = from;
+    this.to = to;
+    this.allowed = TRANSITIONS[from] || [];
+  }
+}
+
+// Applies a PATCH inside the caller's transaction: status (checked against
+// TRANSITIONS and recorded in the history), assignee (null unassigns) and an
+// optional note. Returns null if the contact doesn't exist.
+async function updateContact(client, id, { status, assignee, note }, author) {
+  const current = await client.query('SELECT status FROM contacts WHERE id = $1 FOR UPDATE', [id]);
+  if (current.rows.length === 0) {
+    return null;
+  }
+
+  const from = current.rows[0].status;
+  const statusChanged = status !== undefined && status !== from;
+  if (statusChanged && !TRANSITIONS[from].includes(status)) {
+    throw new TransitionError(from, status);
+  }
+
+  const result = await client.query(
+    `UPDATE contacts SET
+       status = COALESCE($2, status),
+       assignee = CASE WHEN $3::boolean THEN $4 ELSE assignee END
+     WHERE id = $1
+     RETURNING id, name, email, status, assignee, created_at, updated_at`,
+    [id, statusChanged ? status : null, assignee !== undefined, assignee || null]
+  );
+
+  if (statusChanged) {
+    await client.query(
+      `INSERT INTO contact_status_history (contact_id, from_status, to_status, changed_by)
+       VALUES ($1, $2, $3, $4)`,
+      [id, from, status, author]
+    );
+  }
+
+  if (note) {
+    await client.query(
+      'INSERT INTO contact_notes (contact_id, author, body) VALUES ($1, $2, $3)',
+      [id, author, note]
+    );
+  }
+
+  return result.rows[0];
+}
+
+async function listNotes(db, contactId) {
+  const result = await db.query(
+    'SELECT id, author, body, created_at FROM contact_notes WHERE contact_id = $1 ORDER BY id',
+    [contactId]
+  );
+  return result.rows;
+}
+
+async function listHistory(db, contactId) {
+  const result = await db.query(
+    `SELECT from_status, to_status, changed_by, created_at
+     FROM contact_status_history WHERE contact_id = $1 ORDER BY id`,
+    [contactId]
+  );
+  return result.rows;
+}
+
+const validateContactUpdate = [
+  body('status')
+    .optional()
+    .isIn(STATUSES).withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  body('assignee')
+    .optional({ values: 'null' })
+    .isString().withMessage('Assignee must be a string or null')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Assignee must be between 1 and 100 characters'),
+
+  body('note')
+    .optional()
+    .isString().withMessage('Note must be a string')
+    .trim()
+    .isLength({ min: 1, max: 5000 }).withMessage('Note must be between 1 and 5000 characters'),
+
+  body()
+    .custom(value => ['status', 'assignee', 'note'].some(key => value && value[key] !== undefined))
+    .withMessage('Provide at least one of: status, assignee, note'),
+
+  (req, res, next) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+    next();
+  }
+];
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  TransitionError,
+  updateContact,
+  listNotes,
+  listHistory,
+  validateContactUpdate
+};
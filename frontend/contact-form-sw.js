@@ -0,0 +1,34 @@
+// Optional service worker: sends queued <contact-form> submissions through
+// Background Sync, so they go out even if the page was closed while offline.
+// Register it from the page with navigator.serviceWorker.register('/contact-form-sw.js').
+importScripts('contact-outbox.js');
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('sync', (event) => {
+  if (event.tag !== ContactOutbox.SYNC_TAG) {
+    return;
+  }
+
+  event.waitUntil(ContactOutbox.flush().then(async (results) => {
+    const sent = results.filter(result => result.ok);
+    if (sent.length > 0) {
+      // Open forms can tell the visitor their message went out
+      const clients = await self.clients.matchAll({ type: 'window' });
+      clients.forEach(client => client.postMessage({
+        type: 'contact-outbox-sent',
+        entries: sent.map(result => ({ id: result.entry.id, url: result.entry.url, values: result.entry.values }))
+      }));
+    }
+    // Rejecting makes the browser schedule another sync later
+    if (results.some(result => result.retry)) {
+      throw new Error('Some queued submissions could not be sent yet');
+    }
+  }));
+});
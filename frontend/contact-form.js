@@ -1,11 +1,398 @@
+// Bundled UI text, picked by the `lang` attribute. Entries can be overridden
+// (or languages added) through the `messages` property. Object entries are
+// plural forms, chosen with Intl.PluralRules for the `count` parameter.
+const CONTACT_FORM_MESSAGES = {
+  en: {
+    nameLabel: 'Name',
+    namePlaceholder: 'Enter your name',
+    emailLabel: 'Email',
+    emailPlaceholder: 'Enter your email',
+    messageLabel: 'Message',
+    messagePlaceholder: 'Enter your message (10-1000 characters)',
+    attachmentsLabel: 'Attachments',
+    loading: 'Loading form...',
+    loadFailed: 'Failed to load form',
+    selectOption: 'Select an option',
+    dropFiles: 'Drag and drop files here, or {browse}',
+    browse: 'browse',
+    upToFiles: { one: 'Up to {count} file', other: 'Up to {count} files' },
+    sizeEach: '{size} each',
+    charCount: { one: '{count}/{max} character', other: '{count}/{max} characters' },
+    required: 'This field is required',
+    mustBeChecked: '{label} must be checked',
+    invalidEmail: 'Please enter a valid email address',
+    tooShort: { one: '{label} must be at least {count} character', other: '{label} must be at least {count} characters' },
+    tooLong: { one: '{label} must be at most {count} character', other: '{label} must be at most {count} characters' },
+    notANumber: '{label} must be a number',
+    numberTooSmall: '{label} must be at least {min}',
+    numberTooLarge: '{label} must be at most {max}',
+    invalidOption: '{label} must be one of: {options}',
+    invalidFormat: '{label} is invalid',
+    tooManyFiles: { one: '{label} accepts at most {count} file', other: '{label} accepts at most {count} files' },
+    fileTooLarge: '{name} exceeds the maximum size of {size}',
+    fileTypeNotAllowed: '{name} is not an allowed file type',
+    unknownType: 'Unknown type',
+    removeFile: 'Remove {name}',
+    send: 'Send Message',
+    sending: 'Sending...',
+    success: 'Thank you! Your message has been sent successfully.',
+    sendFailed: 'Failed to send message',
+    genericError: 'Something went wrong. Please try again later.',
+    uploadFailed: 'Upload failed ({status})',
+    networkError: 'Network error while uploading',
+    uploadCancelled: 'Upload was cancelled',
+    queued: 'You seem to be offline. Your message has been saved and will be sent automatically once you are back online.',
+    queuedSent: 'Your saved message has been sent.',
+    draftFound: 'You have an unsent draft from {time}.',
+    restoreDraft: 'Restore',
+    discardDraft: 'Discard'
+  },
+  de: {
+    nameLabel: 'Name',
+    namePlaceholder: 'Geben Sie Ihren Namen ein',
+    emailLabel: 'E-Mail',
+    emailPlaceholder: 'Geben Sie Ihre E-Mail-Adresse ein',
+    messageLabel: 'Nachricht',
+    messagePlaceholder: 'Geben Sie Ihre Nachricht ein (10–1000 Zeichen)',
+    attachmentsLabel: 'Anhänge',
+    loading: 'Formular wird geladen...',
+    loadFailed: 'Formular konnte nicht geladen werden',
+    selectOption: 'Bitte auswählen',
+    dropFiles: 'Dateien hierher ziehen oder {browse}',
+    browse: 'durchsuchen',
+    upToFiles: { one: 'Bis zu {count} Datei', other: 'Bis zu {count} Dateien' },
+    sizeEach: 'je {size}',
+    charCount: '{count}/{max} Zeichen',
+    required: 'Dieses Feld ist erforderlich',
+    mustBeChecked: '{label} muss angehakt sein',
+    invalidEmail: 'Bitte geben Sie eine gültige E-Mail-Adresse ein',
+    tooShort: '{label} muss mindestens {count} Zeichen lang sein',
+    tooLong: '{label} darf höchstens {count} Zeichen lang sein',
+    notANumber: '{label} muss eine Zahl sein',
+    numberTooSmall: '{label} muss mindestens {min} sein',
+    numberTooLarge: '{label} darf höchstens {max} sein',
+    invalidOption: '{label} muss einer der folgenden Werte sein: {options}',
+    invalidFormat: '{label} ist ungültig',
+    tooManyFiles: { one: '{label} erlaubt höchstens {count} Datei', other: '{label} erlaubt höchstens {count} Dateien' },
+    fileTooLarge: '{name} überschreitet die maximale Größe von {size}',
+    fileTypeNotAllowed: '{name} hat einen nicht erlaubten Dateityp',
+    unknownType: 'Unbekannter Typ',
+    removeFile: '{name} entfernen',
+    send: 'Nachricht senden',
+    sending: 'Wird gesendet...',
+    success: 'Vielen Dank! Ihre Nachricht wurde erfolgreich gesendet.',
+    sendFailed: 'Nachricht konnte nicht gesendet werden',
+    genericError: 'Etwas ist schiefgelaufen. Bitte versuchen Sie es später erneut.',
+    uploadFailed: 'Hochladen fehlgeschlagen ({status})',
+    networkError: 'Netzwerkfehler beim Hochladen',
+    uploadCancelled: 'Hochladen wurde abgebrochen',
+    queued: 'Sie scheinen offline zu sein. Ihre Nachricht wurde gespeichert und wird automatisch gesendet, sobald Sie wieder online sind.',
+    queuedSent: 'Ihre gespeicherte Nachricht wurde gesendet.',
+    draftFound: 'Sie haben einen nicht gesendeten Entwurf vom {time}.',
+    restoreDraft: 'Wiederherstellen',
+    discardDraft: 'Verwerfen'
+  },
+  fr: {
+    nameLabel: 'Nom',
+    namePlaceholder: 'Saisissez votre nom',
+    emailLabel: 'E-mail',
+    emailPlaceholder: 'Saisissez votre adresse e-mail',
+    messageLabel: 'Message',
+    messagePlaceholder: 'Saisissez votre message (10 à 1000 caractères)',
+    attachmentsLabel: 'Pièces jointes',
+    loading: 'Chargement du formulaire...',
+    loadFailed: 'Impossible de charger le formulaire',
+    selectOption: 'Sélectionnez une option',
+    dropFiles: 'Glissez-déposez des fichiers ici, ou {browse}',
+    browse: 'parcourez',
+    upToFiles: { one: 'Jusqu’à {count} fichier', other: 'Jusqu’à {count} fichiers' },
+    sizeEach: '{size} chacun',
+    charCount: { one: '{count}/{max} caractère', other: '{count}/{max} caractères' },
+    required: 'Ce champ est obligatoire',
+    mustBeChecked: '{label} doit être coché',
+    invalidEmail: 'Veuillez saisir une adresse e-mail valide',
+    tooShort: { one: '{label} doit contenir au moins {count} caractère', other: '{label} doit contenir au moins {count} caractères' },
+    tooLong: { one: '{label} doit contenir au plus {count} caractère', other: '{label} doit contenir au plus {count} caractères' },
+    notANumber: '{label} doit être un nombre',
+    numberTooSmall: '{label} doit être supérieur ou égal à {min}',
+    numberTooLarge: '{label} doit être inférieur ou égal à {max}',
+    invalidOption: '{label} doit être l’une des valeurs suivantes : {options}',
+    invalidFormat: '{label} n’est pas valide',
+    tooManyFiles: { one: '{label} accepte au plus {count} fichier', other: '{label} accepte au plus {count} fichiers' },
+    fileTooLarge: '{name} dépasse la taille maximale de {size}',
+    fileTypeNotAllowed: '{name} n’est pas un type de fichier autorisé',
+    unknownType: 'Type inconnu',
+    removeFile: 'Supprimer {name}',
+    send: 'Envoyer le message',
+    sending: 'Envoi...',
+    success: 'Merci ! Votre message a bien été envoyé.',
+    sendFailed: 'Échec de l’envoi du message',
+    genericError: 'Une erreur est survenue. Veuillez réessayer plus tard.',
+    uploadFailed: 'Échec de l’envoi ({status})',
+    networkError: 'Erreur réseau pendant l’envoi',
+    uploadCancelled: 'L’envoi a été annulé',
+    queued: 'Vous semblez être hors ligne. Votre message a été enregistré et sera envoyé automatiquement dès votre retour en ligne.',
+    queuedSent: 'Votre message enregistré a été envoyé.',
+    draftFound: 'Vous avez un brouillon non envoyé du {time}.',
+    restoreDraft: 'Restaurer',
+    discardDraft: 'Supprimer'
+  },
+  es: {
+    nameLabel: 'Nombre',
+    namePlaceholder: 'Introduzca su nombre',
+    emailLabel: 'Correo electrónico',
+    emailPlaceholder: 'Introduzca su correo electrónico',
+    messageLabel: 'Mensaje',
+    messagePlaceholder: 'Escriba su mensaje (10-1000 caracteres)',
+    attachmentsLabel: 'Adjuntos',
+    loading: 'Cargando formulario...',
+    loadFailed: 'No se pudo cargar el formulario',
+    selectOption: 'Seleccione una opción',
+    dropFiles: 'Arrastre y suelte archivos aquí o {browse}',
+    browse: 'examine',
+    upToFiles: { one: 'Hasta {count} archivo', other: 'Hasta {count} archivos' },
+    sizeEach: '{size} cada uno',
+    charCount: { one: '{count}/{max} carácter', other: '{count}/{max} caracteres' },
+    required: 'Este campo es obligatorio',
+    mustBeChecked: '{label} debe estar marcado',
+    invalidEmail: 'Introduzca una dirección de correo electrónico válida',
+    tooShort: { one: '{label} debe tener al menos {count} carácter', other: '{label} debe tener al menos {count} caracteres' },
+    tooLong: { one: '{label} debe tener como máximo {count} carácter', other: '{label} debe tener como máximo {count} caracteres' },
+    notANumber: '{label} debe ser un número',
+    numberTooSmall: '{label} debe ser como mínimo {min}',
+    numberTooLarge: '{label} debe ser como máximo {max}',
+    invalidOption: '{label} debe ser uno de: {options}',
+    invalidFormat: '{label} no es válido',
+    tooManyFiles: { one: '{label} admite como máximo {count} archivo', other: '{label} admite como máximo {count} archivos' },
+    fileTooLarge: '{name} supera el tamaño máximo de {size}',
+    fileTypeNotAllowed: '{name} no es un tipo de archivo permitido',
+    unknownType: 'Tipo desconocido',
+    removeFile: 'Quitar {name}',
+    send: 'Enviar mensaje',
+    sending: 'Enviando...',
+    success: '¡Gracias! Su mensaje se ha enviado correctamente.',
+    sendFailed: 'No se pudo enviar el mensaje',
+    genericError: 'Algo salió mal. Inténtelo de nuevo más tarde.',
+    uploadFailed: 'Error al subir ({status})',
+    networkError: 'Error de red durante la subida',
+    uploadCancelled: 'Se canceló la subida',
+    queued: 'Parece que no tiene conexión. Su mensaje se ha guardado y se enviará automáticamente cuando vuelva a estar en línea.',
+    queuedSent: 'Se ha enviado su mensaje guardado.',
+    draftFound: 'Tiene un borrador sin enviar del {time}.',
+    restoreDraft: 'Restaurar',
+    discardDraft: 'Descartar'
+  },
+  ar: {
+    nameLabel: 'الاسم',
+    namePlaceholder: 'أدخل اسمك',
+    emailLabel: 'البريد الإلكتروني',
+    emailPlaceholder: 'أدخل بريدك الإلكتروني',
+    messageLabel: 'الرسالة',
+    messagePlaceholder: 'أدخل رسالتك (10-1000 حرف)',
+    attachmentsLabel: 'المرفقات',
+    loading: 'جارٍ تحميل النموذج...',
+    loadFailed: 'تعذّر تحميل النموذج',
+    selectOption: 'اختر خيارًا',
+    dropFiles: 'اسحب الملفات وأفلتها هنا، أو {browse}',
+    browse: 'تصفّح',
+    upToFiles: {
+      one: 'ملف واحد كحد أقصى',
+      two: 'ملفان كحد أقصى',
+      few: 'حتى {count} ملفات',
+      many: 'حتى {count} ملفًا',
+      other: 'حتى {count} ملف'
+    },
+    sizeEach: '{size} لكل ملف',
+    charCount: {
+      two: '{count}/{max} حرفان',
+      few: '{count}/{max} أحرف',
+      many: '{count}/{max} حرفًا',
+      other: '{count}/{max} حرف'
+    },
+    required: 'هذا الحقل مطلوب',
+    mustBeChecked: 'يجب تحديد {label}',
+    invalidEmail: 'يرجى إدخال عنوان بريد إلكتروني صالح',
+    tooShort: {
+      one: 'يجب ألا يقل {label} عن حرف واحد',
+      two: 'يجب ألا يقل {label} عن حرفين',
+      few: 'يجب ألا يقل {label} عن {count} أحرف',
+      many: 'يجب ألا يقل {label} عن {count} حرفًا',
+      other: 'يجب ألا يقل {label} عن {count} حرف'
+    },
+    tooLong: {
+      one: 'يجب ألا يزيد {label} عن حرف واحد',
+      two: 'يجب ألا يزيد {label} عن حرفين',
+      few: 'يجب ألا يزيد {label} عن {count} أحرف',
+      many: 'يجب ألا يزيد {label} عن {count} حرفًا',
+      other: 'يجب ألا يزيد {label} عن {count} حرف'
+    },
+    notANumber: 'يجب أن يكون {label} رقمًا',
+    numberTooSmall: 'يجب ألا يقل {label} عن {min}',
+    numberTooLarge: 'يجب ألا يزيد {label} عن {max}',
+    invalidOption: 'يجب أن يكون {label} أحد الخيارات التالية: {options}',
+    invalidFormat: '{label} غير صالح',
+    tooManyFiles: {
+      one: 'يقبل {label} ملفًا واحدًا كحد أقصى',
+      two: 'يقبل {label} ملفين كحد أقصى',
+      few: 'يقبل {label} {count} ملفات كحد أقصى',
+      many: 'يقبل {label} {count} ملفًا كحد أقصى',
+      other: 'يقبل {label} {count} ملف كحد أقصى'
+    },
+    fileTooLarge: 'يتجاوز {name} الحجم الأقصى البالغ {size}',
+    fileTypeNotAllowed: 'نوع الملف {name} غير مسموح به',
+    unknownType: 'نوع غير معروف',
+    removeFile: 'إزالة {name}',
+    send: 'إرسال الرسالة',
+    sending: 'جارٍ الإرسال...',
+    success: 'شكرًا لك! تم إرسال رسالتك بنجاح.',
+    sendFailed: 'تعذّر إرسال الرسالة',
+    genericError: 'حدث خطأ ما. يرجى المحاولة مرة أخرى لاحقًا.',
+    uploadFailed: 'فشل الرفع ({status})',
+    networkError: 'خطأ في الشبكة أثناء الرفع',
+    uploadCancelled: 'تم إلغاء الرفع',
+    queued: 'يبدو أنك غير متصل بالإنترنت. تم حفظ رسالتك وسيتم إرسالها تلقائيًا عند عودة الاتصال.',
+    queuedSent: 'تم إرسال رسالتك المحفوظة.',
+    draftFound: 'لديك مسودة غير مرسلة من {time}.',
+    restoreDraft: 'استعادة',
+    discardDraft: 'تجاهل'
+  }
+};
+
+const RTL_LANGUAGES = ['ar', 'fa', 'he', 'ur'];
+
+// 4xx answers after which sending again is a retry of the same submission
+// (timeout, still in progress, rate limited); 5xx answers are too
+const RETRY_SAME_ATTEMPT_STATUSES = [408, 409, 425, 429];
+
+// Drafts (opt-in with the `autosave` attribute) are saved this long after the
+// last keystroke, and kept for `autosave-expiry` minutes
+const DRAFT_KEY_PREFIX = 'contact-form-draft';
+const DRAFT_SAVE_DELAY_MS = 500;
+const DEFAULT_DRAFT_EXPIRY_MINUTES = 7 * 24 * 60;
+
+// Design tokens. Each one can be set from the page as --cf-<name>, on the
+// element or any ancestor; the values here are the fallbacks per preset.
+const THEME_TOKENS = {
+  light: {
+    background: 'white',
+    text: '#333',
+    'label-color': '#555',
+    muted: '#666',
+    border: '#ddd',
+    divider: '#eee',
+    surface: '#f4f4f4',
+    'input-background': 'white',
+    primary: '#4a6cf7',
+    'focus-ring': 'rgba(74, 108, 247, 0.1)',
+    highlight: 'rgba(74, 108, 247, 0.05)',
+    'button-background': 'linear-gradient(135deg, #667eea 0%, #764ba2 100%)',
+    'button-color': 'white',
+    'button-disabled-background': '#cccccc',
+    error: '#dc3545',
+    valid: '#28a745',
+    'success-background': '#d4edda',
+    'success-color': '#155724',
+    'success-border': '#c3e6cb',
+    'error-background': '#f8d7da',
+    'error-color': '#721c24',
+    'error-border': '#f5c6cb',
+    shadow: '0 10px 30px rgba(0, 0, 0, 0.2)'
+  },
+  dark: {
+    background: '#1f2330',
+    text: '#e8e9ee',
+    'label-color': '#c5c8d4',
+    muted: '#9aa0b2',
+    border: '#3a3f52',
+    divider: '#2f3344',
+    surface: '#2a2e3d',
+    'input-background': '#161923',
+    primary: '#7c93ff',
+    'focus-ring': 'rgba(124, 147, 255, 0.25)',
+    highlight: 'rgba(124, 147, 255, 0.08)',
+    'button-background': 'linear-gradient(135deg, #6f7fe6 0%, #8658b8 100%)',
+    'button-color': 'white',
+    'button-disabled-background': '#4a4e5e',
+    error: '#ff6b7a',
+    valid: '#4cc26a',
+    'success-background': '#1b3524',
+    'success-color': '#a6e4b6',
+    'success-border': '#2c5a3a',
+    'error-background': '#3d1d22',
+    'error-color': '#ffb3bc',
+    'error-border': '#6b2a33',
+    shadow: '0 10px 30px rgba(0, 0, 0, 0.5)'
+  }
+};
+
+const LAYOUT_TOKENS = {
+  default: {
+    'font-family': "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif",
+    'font-size': '1rem',
+    'title-size': '1.8rem',
+    padding: '40px',
+    'container-radius': '15px',
+    radius: '5px',
+    gap: '1.5rem',
+    'input-padding': '0.75rem',
+    'textarea-height': '120px',
+    'button-padding': '0.75rem 2rem'
+  },
+  compact: {
+    'font-family': "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif",
+    'font-size': '0.875rem',
+    'title-size': '1.35rem',
+    padding: '1.25rem',
+    'container-radius': '10px',
+    radius: '4px',
+    gap: '0.75rem',
+    'input-padding': '0.5rem',
+    'textarea-height': '80px',
+    'button-padding': '0.5rem 1.25rem'
+  }
+};
+
+// The styles read private --_<name> copies, so a page value for --cf-<name>
+// set on an ancestor still wins over the preset chosen on the element
+function tokenDeclarations(tokens) {
+  return Object.entries(tokens)
+    .map(([name, value]) => `--_${name}: var(--cf-${name}, ${value});`)
+    .join('\n          ');
+}
+
 class ContactForm extends HTMLElement {
   constructor() {
     super();
     this.attachShadow({ mode: 'open' });
+    this._schema = null;
+    this._messages = {};
+    this.formDefinition = null;
+    this.loadRequest = 0;
+    this.selectedFiles = {};
+    this.previewUrls = [];
+    this.challenge = null;
+    this.challengeRequest = 0;
+    this.pendingValues = null;
+    // The attempt whose outcome is unknown: { id, values, spamFields }
+    this.pendingSubmission = null;
+    // fetch-compatible function used for every request instead of window.fetch
+    this.transport = null;
+    this.handleOnline = () => this.flushOutbox();
+    this.draftTimer = null;
+    // A save still waiting on the debounce would be lost with the page
+    this.handlePageHide = () => {
+      if (this.draftTimer) {
+        this.saveDraft();
+      }
+    };
+    this.handleWorkerMessage = (event) => {
+      if (event.data?.type === 'contact-outbox-sent') {
+        this.announceSent(event.data.entries);
+      }
+    };
     this.state = {
-      name: '',
-      email: '',
-      message: '',
+      loading: false,
+      loadError: null,
       submitting: false,
       success: false,
       error: null
@@ -13,93 +400,500 @@ class ContactForm extends HTMLElement {
   }
 
   connectedCallback() {
-    this.render();
-    this.setupEventListeners();
+    this.refresh();
+    window.addEventListener('pagehide', this.handlePageHide);
+
+    if (this.canQueue) {
+      window.addEventListener('online', this.handleOnline);
+      navigator.serviceWorker?.addEventListener('message', this.handleWorkerMessage);
+      if (navigator.onLine) {
+        this.flushOutbox();
+      }
+    }
+  }
+
+  disconnectedCallback() {
+    this.handlePageHide();
+    window.removeEventListener('pagehide', this.handlePageHide);
+    window.removeEventListener('online', this.handleOnline);
+    navigator.serviceWorker?.removeEventListener('message', this.handleWorkerMessage);
   }
 
   static get observedAttributes() {
-    return ['api-url'];
+    return ['api-url', 'api-base', 'form', 'schema', 'lang', 'dir'];
   }
 
   attributeChangedCallback(name, oldValue, newValue) {
-    if (name === 'api-url' && oldValue !== newValue) {
+    if (oldValue === newValue || !this.isConnected) {
+      return;
+    }
+    // A language change only needs the text redrawn, not the form reloaded
+    if (name === 'lang' || name === 'dir') {
+      this.rerender();
+      return;
+    }
+    this.refresh();
+  }
+
+  // `lang` attribute, else the nearest lang in the page, else the browser's;
+  // reduced to a language there is a catalog for (de-AT -> de), or English
+  get language() {
+    const requested = (this.closest('[lang]')?.getAttribute('lang') || navigator.language || 'en').toLowerCase();
+    const available = [...Object.keys(CONTACT_FORM_MESSAGES), ...Object.keys(this._messages)];
+    return available.find(language => language.toLowerCase() === requested)
+      || available.find(language => language.toLowerCase() === requested.split('-')[0])
+      || 'en';
+  }
+
+  get direction() {
+    const dir = this.getAttribute('dir');
+    if (dir === 'ltr' || dir === 'rtl') {
+      return dir;
+    }
+    return RTL_LANGUAGES.includes(this.language.split('-')[0]) ? 'rtl' : 'ltr';
+  }
+
+  // { [language]: { key: text } }, merged over the bundled catalogs
+  get messages() {
+    return this._messages;
+  }
+
+  set messages(value) {
+    this._messages = value || {};
+    this.rerender();
+  }
+
+  // Looks `key` up in the overrides, the bundled catalog, then English
+  t(key, params = {}) {
+    const language = this.language;
+    const entry = [this._messages[language], CONTACT_FORM_MESSAGES[language], this._messages.en, CONTACT_FORM_MESSAGES.en]
+      .map(catalog => catalog && catalog[key])
+      .find(value => value !== undefined);
+    if (entry === undefined) {
+      return key;
+    }
+
+    const template = typeof entry === 'object'
+      ? entry[new Intl.PluralRules(language).select(params.count)] || entry.other
+      : entry;
+    return template.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+  }
+
+  // Rendering rebuilds the inputs, so what has been typed and the files
+  // picked are put back afterwards (those of fields still in the schema)
+  rerender(values = this.currentValues()) {
+    if (this.isConnected && !this.state.loading) {
       this.render();
+      this.setupEventListeners();
+      if (values) {
+        this.setValues(values);
+      }
+    }
+  }
+
+  // The values in the rendered form, or null before it has rendered
+  currentValues() {
+    return this.shadowRoot.getElementById('contactForm') ? this.getValues() : null;
+  }
+
+  request(url, init) {
+    return this.transport ? this.transport(url, init) : fetch(url, init);
+  }
+
+  get apiBase() {
+    return (this.getAttribute('api-base') || '/api').replace(/\/$/, '');
+  }
+
+  // Named forms submit to their own route; otherwise `api-url` is used as-is
+  get submitUrl() {
+    const slug = this.getAttribute('form');
+    if (slug) {
+      return `${this.apiBase}/forms/${encodeURIComponent(slug)}/submissions`;
+    }
+    return this.getAttribute('api-url') || '/api/contacts';
+  }
+
+  get challengeUrl() {
+    const slug = this.getAttribute('form');
+    if (slug) {
+      return `${this.apiBase}/forms/${encodeURIComponent(slug)}/challenge`;
+    }
+    return `${this.getAttribute('api-url') || '/api/contacts'}/challenge`;
+  }
+
+  // The form named by `form`, else the default form behind `api-url`
+  get definitionUrl() {
+    const slug = this.getAttribute('form');
+    if (slug) {
+      return `${this.apiBase}/forms/${encodeURIComponent(slug)}`;
+    }
+    return `${this.getAttribute('api-url') || '/api/contacts'}/schema`;
+  }
+
+  // Loads the form definition from the backend, unless a `schema` property or
+  // attribute supplies the fields, then renders
+  async refresh() {
+    const request = ++this.loadRequest;
+
+    if (this.getAttribute('form') || (!this._schema && !this.getAttribute('schema'))) {
+      this.state = { ...this.state, loading: true, loadError: null };
+      this.render();
+
+      try {
+        const response = await this.request(this.definitionUrl);
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || this.t('loadFailed'));
+        }
+        if (request !== this.loadRequest) {
+          return;
+        }
+        this.formDefinition = data.data;
+        this.state = { ...this.state, loading: false };
+      } catch (error) {
+        if (request !== this.loadRequest) {
+          return;
+        }
+        console.error('Error loading form:', error);
+        this.formDefinition = null;
+        this.state = { ...this.state, loading: false, loadError: error.message || this.t('loadFailed') };
+      }
+    } else {
+      this.formDefinition = null;
+      this.state = { ...this.state, loading: false, loadError: null };
+    }
+
+    this.render();
+    this.setupEventListeners();
+    this.prepareChallenge();
+
+    if (this.pendingValues && !this.state.loadError) {
+      this.setValues(this.pendingValues);
+    }
+    this.offerDraft();
+  }
+
+  // Fetches a spam challenge and starts solving it in the background, so the
+  // proof of work is usually done by the time the visitor hits submit.
+  // Resolves to the extra fields to send, or {} if anything goes wrong;
+  // the server then scores the submission instead of rejecting it.
+  prepareChallenge() {
+    const request = ++this.challengeRequest;
+
+    this.challenge = (async () => {
+      try {
+        const response = await this.request(this.challengeUrl, { cache: 'no-store' });
+        if (!response.ok) {
+          return {};
+        }
+        const { data } = await response.json();
+        const solution = await this.solveChallenge(data.challenge, data.difficulty, request);
+        return solution === null
+          ? { _token: data.token }
+          : { _token: data.token, _solution: String(solution) };
+      } catch (error) {
+        console.warn('Spam challenge unavailable:', error);
+        return {};
+      }
+    })();
+  }
+
+  // Finds a counter such that sha256(`${challenge}:${counter}`) starts with
+  // `difficulty` zero bits. Gives up (null) if superseded or without WebCrypto.
+  async solveChallenge(challenge, difficulty, request) {
+    if (!globalThis.crypto?.subtle) {
+      return null;
+    }
+
+    const encoder = new TextEncoder();
+    for (let counter = 0; counter < 2 ** 32; counter++) {
+      if (request !== this.challengeRequest) {
+        return null;
+      }
+
+      const digest = new Uint8Array(
+        await crypto.subtle.digest('SHA-256', encoder.encode(`${challenge}:${counter}`))
+      );
+      let bits = 0;
+      for (const byte of digest) {
+        if (byte === 0) {
+          bits += 8;
+          continue;
+        }
+        bits += Math.clz32(byte) - 24;
+        break;
+      }
+      if (bits >= difficulty) {
+        return counter;
+      }
+    }
+    return null;
+  }
+
+  // Precedence: `schema` property, loaded form, `schema` attribute (JSON).
+  // Empty until the form has loaded (or if it failed to).
+  get schema() {
+    if (this._schema) {
+      return this._schema;
+    }
+
+    if (this.formDefinition) {
+      // The default form's labels and placeholders come from the catalog
+      // where it has them (nameLabel, emailPlaceholder, ...)
+      return this.getAttribute('form')
+        ? { fields: this.formDefinition.fields }
+        : { fields: this.formDefinition.fields.map(field => this.localizeField(field)) };
+    }
+
+    const attr = this.getAttribute('schema');
+    if (attr) {
+      try {
+        return JSON.parse(attr);
+      } catch (error) {
+        console.error('Invalid contact-form schema attribute:', error);
+      }
+    }
+
+    return { fields: [] };
+  }
+
+  localizeField(field) {
+    const text = (key, fallback) => {
+      const value = this.t(key);
+      return value === key ? fallback : value;
+    };
+    return {
+      ...field,
+      label: text(`${field.name}Label`, field.label),
+      ...(field.placeholder ? { placeholder: text(`${field.name}Placeholder`, field.placeholder) } : {})
+    };
+  }
+
+  set schema(value) {
+    const values = this.currentValues();
+    this._schema = value;
+    this.rerender(values);
+  }
+
+  getFieldDefinition(name) {
+    return this.schema.fields.find(field => field.name === name);
+  }
+
+  escapeHtml(value) {
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  optionValue(option) {
+    return typeof option === 'object' ? option.value : option;
+  }
+
+  optionLabel(option) {
+    return typeof option === 'object' ? (option.label || option.value) : option;
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  fileHint(field) {
+    const parts = [];
+    if (field.maxFiles !== undefined) {
+      parts.push(this.t('upToFiles', { count: field.maxFiles }));
+    }
+    if (field.maxSize !== undefined) {
+      parts.push(this.t('sizeEach', { size: this.formatSize(field.maxSize) }));
+    }
+    return parts.join(', ');
+  }
+
+  renderField(field) {
+    const id = `field-${field.name}`;
+    const label = this.escapeHtml(field.label || field.name);
+    const attrs = [
+      `id="${id}"`,
+      field.type !== 'file' ? 'part="input"' : '',
+      `name="${this.escapeHtml(field.name)}"`,
+      field.required ? 'required' : '',
+      field.minLength !== undefined ? `minlength="${field.minLength}"` : '',
+      field.maxLength !== undefined ? `maxlength="${field.maxLength}"` : '',
+      field.min !== undefined ? `min="${field.min}"` : '',
+      field.max !== undefined ? `max="${field.max}"` : '',
+      field.pattern !== undefined ? `pattern="${this.escapeHtml(field.pattern)}"` : '',
+      field.placeholder ? `placeholder="${this.escapeHtml(field.placeholder)}"` : '',
+      field.autocomplete ? `autocomplete="${this.escapeHtml(field.autocomplete)}"` : ''
+    ].filter(Boolean).join(' ');
+
+    let control;
+    switch (field.type) {
+      case 'textarea':
+        control = `<textarea ${attrs}></textarea>`;
+        break;
+      case 'select':
+        control = `
+          <select ${attrs}>
+            <option value="">${this.escapeHtml(field.placeholder || this.t('selectOption'))}</option>
+            ${(field.options || []).map(option => `
+              <option value="${this.escapeHtml(this.optionValue(option))}">${this.escapeHtml(this.optionLabel(option))}</option>
+            `).join('')}
+          </select>
+        `;
+        break;
+      case 'file':
+        control = `
+          <div class="dropzone" id="${id}-dropzone" part="dropzone" tabindex="0">
+            <input type="file" class="file-input" ${attrs}
+              ${field.maxFiles === 1 ? '' : 'multiple'}
+              ${field.accept ? `accept="${this.escapeHtml(field.accept.join(','))}"` : ''}>
+            <span>${this.escapeHtml(this.t('dropFiles')).replace('{browse}', `<span class="browse">${this.escapeHtml(this.t('browse'))}</span>`)}</span>
+            <span class="hint">${this.escapeHtml(this.fileHint(field))}</span>
+          </div>
+          <ul class="file-list" id="${id}-list" part="file-list"></ul>
+        `;
+        break;
+      default:
+        control = `<input type="${this.escapeHtml(field.type || 'text')}" ${attrs}>`;
     }
+
+    const charCount = field.type === 'textarea' && field.maxLength !== undefined
+      ? `
+            <div class="char-count" id="${id}-count" part="char-count">${this.escapeHtml(this.t('charCount', { count: 0, max: field.maxLength }))}</div>`
+      : '';
+
+    return `
+          <div class="form-group${field.type === 'checkbox' ? ' checkbox-group' : ''}" part="field">
+            <label for="${id}" class="${field.required ? 'required' : ''}" part="label">${label}</label>
+            ${control}${charCount}
+            <div class="error-message" id="${id}-error" part="error"></div>
+          </div>
+    `;
   }
 
   render() {
-    const apiUrl = this.getAttribute('api-url') || '/api/contacts';
-    
+    // Rendering replaces the inputs, so any picked files are dropped too;
+    // rerender() puts values and files back
+    this.clearSelectedFiles();
+
     this.shadowRoot.innerHTML = `
       <style>
         :host {
           display: block;
-          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+          color-scheme: light;
+          ${tokenDeclarations(THEME_TOKENS.light)}
+          ${tokenDeclarations(LAYOUT_TOKENS.default)}
+          font-family: var(--_font-family);
+          font-size: var(--_font-size);
+        }
+        
+        :host([theme="dark"]) {
+          color-scheme: dark;
+          ${tokenDeclarations(THEME_TOKENS.dark)}
+        }
+        
+        @media (prefers-color-scheme: dark) {
+          :host([theme="auto"]) {
+            color-scheme: dark;
+            ${tokenDeclarations(THEME_TOKENS.dark)}
+          }
+        }
+        
+        :host([variant="compact"]) {
+          ${tokenDeclarations(LAYOUT_TOKENS.compact)}
         }
         
         .form-container {
-          background: white;
-          padding: 40px;
-          border-radius: 15px;
-          box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+          background: var(--_background);
+          padding: var(--_padding);
+          border-radius: var(--_container-radius);
+          box-shadow: var(--_shadow);
           height: 100%;
         }
         
         h2 {
-          color: #333;
+          color: var(--_text);
           margin-bottom: 1.5rem;
           text-align: center;
-          font-size: 1.8rem;
+          font-size: var(--_title-size);
         }
         
         .form-group {
-          margin-bottom: 1.5rem;
+          margin-bottom: var(--_gap);
         }
         
         label {
           display: block;
           margin-bottom: 0.5rem;
           font-weight: 500;
-          color: #555;
+          color: var(--_label-color);
         }
         
-        input, textarea {
+        input, textarea, select {
           width: 100%;
-          padding: 0.75rem;
-          border: 1px solid #ddd;
-          border-radius: 5px;
-          font-size: 1rem;
+          padding: var(--_input-padding);
+          border: 1px solid var(--_border);
+          border-radius: var(--_radius);
+          background: var(--_input-background);
+          color: var(--_text);
+          font-size: 1em;
           transition: all 0.3s ease;
           box-sizing: border-box;
           font-family: inherit;
         }
         
-        input:focus, textarea:focus {
+        input:focus, textarea:focus, select:focus {
           outline: none;
-          border-color: #4a6cf7;
-          box-shadow: 0 0 0 3px rgba(74, 108, 247, 0.1);
+          border-color: var(--_primary);
+          box-shadow: 0 0 0 3px var(--_focus-ring);
         }
         
         input:invalid, textarea:invalid {
-          border-color: #dc3545;
+          border-color: var(--_error);
         }
         
         input:valid, textarea:valid {
-          border-color: #28a745;
+          border-color: var(--_valid);
         }
         
         textarea {
-          min-height: 120px;
+          min-height: var(--_textarea-height);
           resize: vertical;
         }
         
+        .checkbox-group {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+        }
+        
+        .checkbox-group label {
+          order: 2;
+          margin-bottom: 0;
+        }
+        
+        .checkbox-group input {
+          width: auto;
+        }
+        
+        .checkbox-group .error-message {
+          order: 3;
+          flex-basis: 100%;
+        }
+        
         .submit-btn {
-          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-          color: white;
+          background: var(--_button-background);
+          color: var(--_button-color);
           border: none;
-          padding: 0.75rem 2rem;
-          border-radius: 5px;
-          font-size: 1rem;
+          padding: var(--_button-padding);
+          border-radius: var(--_radius);
+          font-size: 1em;
           font-weight: 600;
           cursor: pointer;
           width: 100%;
@@ -118,7 +912,7 @@ class ContactForm extends HTMLElement {
         }
         
         .submit-btn:disabled {
-          background: #cccccc;
+          background: var(--_button-disabled-background);
           cursor: not-allowed;
           transform: none !important;
           box-shadow: none !important;
@@ -126,7 +920,7 @@ class ContactForm extends HTMLElement {
         
         .message {
           padding: 0.75rem;
-          border-radius: 5px;
+          border-radius: var(--_radius);
           margin-bottom: 1rem;
           text-align: center;
           animation: slideIn 0.3s ease;
@@ -144,15 +938,15 @@ class ContactForm extends HTMLElement {
         }
         
         .success {
-          background: #d4edda;
-          color: #155724;
-          border: 1px solid #c3e6cb;
+          background: var(--_success-background);
+          color: var(--_success-color);
+          border: 1px solid var(--_success-border);
         }
         
         .error {
-          background: #f8d7da;
-          color: #721c24;
-          border: 1px solid #f5c6cb;
+          background: var(--_error-background);
+          color: var(--_error-color);
+          border: 1px solid var(--_error-border);
         }
         
         .loading {
@@ -161,9 +955,9 @@ class ContactForm extends HTMLElement {
           height: 20px;
           border: 3px solid rgba(255,255,255,.3);
           border-radius: 50%;
-          border-top-color: white;
+          border-top-color: var(--_button-color);
           animation: spin 1s ease-in-out infinite;
-          margin-right: 8px;
+          margin-inline-end: 8px;
           vertical-align: middle;
         }
         
@@ -173,106 +967,273 @@ class ContactForm extends HTMLElement {
         
         .required::after {
           content: " *";
-          color: #dc3545;
+          color: var(--_error);
         }
         
         .error-message {
-          color: #dc3545;
-          font-size: 0.875rem;
+          color: var(--_error);
+          font-size: 0.875em;
           margin-top: 0.25rem;
           min-height: 1.2rem;
         }
         
         .char-count {
-          text-align: right;
-          font-size: 0.875rem;
-          color: #666;
+          text-align: end;
+          font-size: 0.875em;
+          color: var(--_muted);
           margin-top: 0.25rem;
         }
         
+        .dropzone {
+          position: relative;
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: 0.25rem;
+          padding: 1.25rem;
+          border: 2px dashed var(--_border);
+          border-radius: var(--_radius);
+          color: var(--_muted);
+          text-align: center;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+        
+        .dropzone:focus,
+        .dropzone.dragover {
+          outline: none;
+          border-color: var(--_primary);
+          background: var(--_highlight);
+        }
+        
+        .dropzone .browse {
+          color: var(--_primary);
+          text-decoration: underline;
+        }
+        
+        .dropzone .hint {
+          font-size: 0.8em;
+        }
+        
+        .file-input {
+          position: absolute;
+          width: 1px;
+          height: 1px;
+          opacity: 0;
+          pointer-events: none;
+        }
+        
+        .file-list {
+          list-style: none;
+          margin: 0.5rem 0 0;
+          padding: 0;
+        }
+        
+        .file-item {
+          display: flex;
+          align-items: center;
+          gap: 0.75rem;
+          padding: 0.5rem;
+          border: 1px solid var(--_divider);
+          border-radius: var(--_radius);
+          margin-bottom: 0.5rem;
+          color: var(--_text);
+        }
+        
+        .file-preview {
+          width: 40px;
+          height: 40px;
+          object-fit: cover;
+          border-radius: 4px;
+          flex-shrink: 0;
+        }
+        
+        .file-icon {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: var(--_surface);
+          color: var(--_label-color);
+          font-size: 0.7rem;
+          font-weight: 600;
+        }
+        
+        .file-info {
+          display: flex;
+          flex-direction: column;
+          flex: 1;
+          min-width: 0;
+        }
+        
+        .file-name {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+        
+        .file-meta {
+          font-size: 0.8em;
+          color: var(--_muted);
+        }
+        
+        .file-remove {
+          background: none;
+          border: none;
+          font-size: 1.25rem;
+          color: var(--_muted);
+          cursor: pointer;
+        }
+        
+        .file-remove:hover {
+          color: var(--_error);
+        }
+        
+        .upload-progress {
+          display: flex;
+          align-items: center;
+          gap: 0.5rem;
+          margin-bottom: 1rem;
+          font-size: 0.875em;
+          color: var(--_muted);
+        }
+        
+        .upload-progress[hidden] {
+          display: none;
+        }
+        
+        .upload-progress progress {
+          flex: 1;
+          accent-color: var(--_primary);
+        }
+        
+        .form-status {
+          text-align: center;
+          color: var(--_muted);
+          padding: 2rem 0;
+        }
+        
+        /* Honeypot: invisible to people, tempting to bots */
+        .hp-field {
+          position: absolute;
+          left: -10000px;
+          width: 1px;
+          height: 1px;
+          overflow: hidden;
+        }
+        
         .api-info {
-          font-size: 0.8rem;
-          color: #666;
+          font-size: 0.8em;
+          color: var(--_muted);
           text-align: center;
           margin-top: 1rem;
           padding-top: 1rem;
-          border-top: 1px solid #eee;
+          border-top: 1px solid var(--_divider);
+        }
+        
+        .draft-prompt {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: 0.5rem;
+          padding: 0.75rem;
+          margin-bottom: 1rem;
+          border: 1px solid var(--_divider);
+          border-radius: var(--_radius);
+          background: var(--_surface);
+          color: var(--_text);
+          font-size: 0.875em;
+        }
+        
+        .draft-prompt[hidden] {
+          display: none;
+        }
+        
+        .draft-prompt span {
+          flex: 1;
+        }
+        
+        .draft-prompt button {
+          background: none;
+          border: 1px solid var(--_primary);
+          border-radius: var(--_radius);
+          color: var(--_primary);
+          padding: 0.25rem 0.75rem;
+          font: inherit;
+          cursor: pointer;
         }
       </style>
       
-      <div class="form-container">
-        <div id="message" class="message" style="display: none;"></div>
-        
-        <form id="contactForm" novalidate>
-          <div class="form-group">
-            <label for="name" class="required">Name</label>
-            <input 
-              type="text" 
-              id="name" 
-              name="name" 
-              required 
-              minlength="2"
-              maxlength="100"
-              placeholder="Enter your name"
-              autocomplete="name"
-            >
-            <div class="error-message" id="name-error"></div>
-          </div>
+      <div class="form-container" part="container" lang="${this.escapeHtml(this.language)}" dir="${this.direction}">
+        ${this.renderBody()}
+      </div>
+    `;
+  }
+
+  renderBody() {
+    if (this.state.loading) {
+      return `<div class="form-status" part="status">${this.escapeHtml(this.t('loading'))}</div>`;
+    }
+
+    if (this.state.loadError) {
+      return `<div class="message error" part="message message-error">${this.escapeHtml(this.state.loadError)}</div>`;
+    }
+
+    const title = this.formDefinition?.title;
+
+    return `
+        <slot name="header">${title ? `<h2 part="title">${this.escapeHtml(title)}</h2>` : ''}</slot>
+        <div id="message" class="message" part="message" style="display: none;"></div>
+        
+        <div class="draft-prompt" id="draftPrompt" part="draft-prompt" hidden>
+          <span id="draftPromptText"></span>
+          <button type="button" id="restoreDraft" part="draft-button">${this.escapeHtml(this.t('restoreDraft'))}</button>
+          <button type="button" id="discardDraft" part="draft-button">${this.escapeHtml(this.t('discardDraft'))}</button>
+        </div>
+        
+        <form id="contactForm" part="form" novalidate>
+          ${this.schema.fields.map(field => this.renderField(field)).join('')}
           
-          <div class="form-group">
-            <label for="email" class="required">Email</label>
-            <input 
-              type="email" 
-              id="email" 
-              name="email" 
-              required
-              placeholder="Enter your email"
-              autocomplete="email"
-            >
-            <div class="error-message" id="email-error"></div>
+          <div class="hp-field" aria-hidden="true">
+            <label for="hp-website">Website</label>
+            <input type="text" id="hp-website" name="_website" tabindex="-1" autocomplete="off">
           </div>
           
-          <div class="form-group">
-            <label for="message" class="required">Message</label>
-            <textarea 
-              id="message-input" 
-              name="message" 
-              required 
-              minlength="10"
-              maxlength="1000"
-              placeholder="Enter your message (10-1000 characters)"
-            ></textarea>
-            <div class="char-count">
-              <span id="char-count">0</span>/1000 characters
-            </div>
-            <div class="error-message" id="message-input-error"></div>
+          <div class="upload-progress" id="uploadProgress" part="progress" hidden>
+            <progress id="uploadProgressBar" max="100" value="0"></progress>
+            <span id="uploadProgressText">0%</span>
           </div>
           
-          <button type="submit" class="submit-btn" id="submitBtn">
-            Send Message
+          <button type="submit" class="submit-btn" id="submitBtn" part="button">
+            ${this.escapeHtml(this.t('send'))}
           </button>
         </form>
-      </div>
+        
+        <div id="successContent" part="success" hidden>
+          <slot name="success"></slot>
+        </div>
     `;
   }
 
   setupEventListeners() {
     const form = this.shadowRoot.getElementById('contactForm');
-    const submitBtn = this.shadowRoot.getElementById('submitBtn');
-    const nameInput = this.shadowRoot.getElementById('name');
-    const emailInput = this.shadowRoot.getElementById('email');
-    const messageInput = this.shadowRoot.getElementById('message-input');
-    const charCount = this.shadowRoot.getElementById('char-count');
-
-    // Character counter for message
-    messageInput.addEventListener('input', (e) => {
-      charCount.textContent = e.target.value.length;
-      this.validateField(e.target);
-    });
+    if (!form) {
+      return;
+    }
+
+    this.schema.fields.forEach(definition => {
+      const input = this.shadowRoot.getElementById(`field-${definition.name}`);
+      const charCount = this.shadowRoot.getElementById(`field-${definition.name}-count`);
+
+      if (definition.type === 'file') {
+        this.setupDropzone(definition, input);
+        return;
+      }
 
-    // Real-time validation
-    [nameInput, emailInput].forEach(input => {
-      input.addEventListener('input', (e) => {
+      // Real-time validation
+      input.addEventListener(definition.type === 'checkbox' || definition.type === 'select' ? 'change' : 'input', (e) => {
+        if (charCount) {
+          charCount.textContent = this.t('charCount', { count: e.target.value.length, max: definition.maxLength });
+        }
         this.validateField(e.target);
       });
       input.addEventListener('blur', (e) => {
@@ -280,42 +1241,213 @@ class ContactForm extends HTMLElement {
       });
     });
 
+    if (this.autosave) {
+      form.addEventListener('input', () => this.scheduleDraftSave());
+      form.addEventListener('change', () => this.scheduleDraftSave());
+      this.shadowRoot.getElementById('restoreDraft').addEventListener('click', () => this.restoreDraft());
+      this.shadowRoot.getElementById('discardDraft').addEventListener('click', () => this.clearDraft());
+    }
+
     form.addEventListener('submit', async (e) => {
       e.preventDefault();
       await this.handleSubmit();
     });
   }
 
-  validateField(field) {
-    const errorId = `${field.id}-error`;
-    const errorElement = this.shadowRoot.getElementById(errorId);
-    
-    field.setCustomValidity('');
-    
-    if (!field.value.trim()) {
-      field.setCustomValidity('This field is required');
-      this.showError(field, errorElement, 'This field is required');
-      return false;
+  setupDropzone(definition, input) {
+    const dropzone = this.shadowRoot.getElementById(`${input.id}-dropzone`);
+
+    dropzone.addEventListener('click', (e) => {
+      if (e.target !== input) {
+        input.click();
+      }
+    });
+    dropzone.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        input.click();
+      }
+    });
+
+    ['dragenter', 'dragover'].forEach(type => {
+      dropzone.addEventListener(type, (e) => {
+        e.preventDefault();
+        dropzone.classList.add('dragover');
+      });
+    });
+    ['dragleave', 'drop'].forEach(type => {
+      dropzone.addEventListener(type, (e) => {
+        e.preventDefault();
+        dropzone.classList.remove('dragover');
+      });
+    });
+
+    dropzone.addEventListener('drop', (e) => {
+      this.addFiles(definition, input, e.dataTransfer.files);
+    });
+    input.addEventListener('change', () => {
+      this.addFiles(definition, input, input.files);
+      // Files are tracked in selectedFiles, so the same file can be picked again
+      input.value = '';
+    });
+  }
+
+  addFiles(definition, input, fileList) {
+    const files = this.selectedFiles[definition.name] || [];
+    this.selectedFiles[definition.name] = files.concat(Array.from(fileList || []));
+    this.renderFileList(definition, input);
+    this.validateField(input);
+  }
+
+  removeFile(definition, input, index) {
+    this.selectedFiles[definition.name].splice(index, 1);
+    this.renderFileList(definition, input);
+    this.validateField(input);
+  }
+
+  clearSelectedFiles() {
+    this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+    this.previewUrls = [];
+    this.selectedFiles = {};
+  }
+
+  // Built with DOM APIs since file names are user input
+  renderFileList(definition, input) {
+    const list = this.shadowRoot.getElementById(`${input.id}-list`);
+    const files = this.selectedFiles[definition.name] || [];
+
+    this.previewUrls.forEach(url => URL.revokeObjectURL(url));
+    this.previewUrls = [];
+    list.textContent = '';
+
+    files.forEach((file, index) => {
+      const item = document.createElement('li');
+      item.className = 'file-item';
+
+      if (file.type.startsWith('image/')) {
+        const preview = document.createElement('img');
+        const url = URL.createObjectURL(file);
+        this.previewUrls.push(url);
+        preview.src = url;
+        preview.alt = '';
+        preview.className = 'file-preview';
+        item.appendChild(preview);
+      } else {
+        const icon = document.createElement('span');
+        icon.className = 'file-preview file-icon';
+        icon.textContent = (file.name.split('.').pop() || 'file').slice(0, 4).toUpperCase();
+        item.appendChild(icon);
+      }
+
+      const info = document.createElement('span');
+      info.className = 'file-info';
+      const name = document.createElement('span');
+      name.className = 'file-name';
+      name.textContent = file.name;
+      const meta = document.createElement('span');
+      meta.className = 'file-meta';
+      meta.textContent = `${file.type || this.t('unknownType')} · ${this.formatSize(file.size)}`;
+      info.append(name, meta);
+      item.appendChild(info);
+
+      const remove = document.createElement('button');
+      remove.type = 'button';
+      remove.className = 'file-remove';
+      remove.setAttribute('aria-label', this.t('removeFile', { name: file.name }));
+      remove.textContent = '×';
+      remove.addEventListener('click', () => this.removeFile(definition, input, index));
+      item.appendChild(remove);
+
+      list.appendChild(item);
+    });
+  }
+
+  // Returns the first validation error for a field, or null when it is valid
+  getFieldError(definition, field) {
+    const label = definition.label || definition.name;
+
+    if (definition.type === 'file') {
+      const files = this.selectedFiles[definition.name] || [];
+      if (definition.required && files.length === 0) {
+        return this.t('required');
+      }
+      if (definition.maxFiles !== undefined && files.length > definition.maxFiles) {
+        return this.t('tooManyFiles', { label, count: definition.maxFiles });
+      }
+      const tooLarge = files.find(file => definition.maxSize !== undefined && file.size > definition.maxSize);
+      if (tooLarge) {
+        return this.t('fileTooLarge', { name: tooLarge.name, size: this.formatSize(definition.maxSize) });
+      }
+      const wrongType = definition.accept && files.find(file => !definition.accept.includes(file.type));
+      if (wrongType) {
+        return this.t('fileTypeNotAllowed', { name: wrongType.name });
+      }
+      return null;
+    }
+
+    if (definition.type === 'checkbox') {
+      return definition.required && !field.checked ? this.t('mustBeChecked', { label }) : null;
     }
 
-    if (field.type === 'email') {
+    const value = field.value.trim();
+
+    if (!value) {
+      return definition.required ? this.t('required') : null;
+    }
+
+    if (definition.type === 'email') {
       const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-      if (!emailRegex.test(field.value)) {
-        field.setCustomValidity('Please enter a valid email address');
-        this.showError(field, errorElement, 'Please enter a valid email address');
-        return false;
+      if (!emailRegex.test(value)) {
+        return this.t('invalidEmail');
       }
     }
 
-    if (field.id === 'name' && field.value.length < 2) {
-      field.setCustomValidity('Name must be at least 2 characters');
-      this.showError(field, errorElement, 'Name must be at least 2 characters');
-      return false;
+    if (definition.minLength !== undefined && value.length < definition.minLength) {
+      return this.t('tooShort', { label, count: definition.minLength });
+    }
+
+    if (definition.maxLength !== undefined && value.length > definition.maxLength) {
+      return this.t('tooLong', { label, count: definition.maxLength });
+    }
+
+    if (definition.type === 'number') {
+      const number = Number(value);
+      if (Number.isNaN(number)) {
+        return this.t('notANumber', { label });
+      }
+      if (definition.min !== undefined && number < definition.min) {
+        return this.t('numberTooSmall', { label, min: definition.min });
+      }
+      if (definition.max !== undefined && number > definition.max) {
+        return this.t('numberTooLarge', { label, max: definition.max });
+      }
+    }
+
+    if (definition.type === 'select') {
+      const values = (definition.options || []).map(option => String(this.optionValue(option)));
+      if (!values.includes(value)) {
+        return this.t('invalidOption', { label, options: values.join(', ') });
+      }
     }
 
-    if (field.id === 'message-input' && field.value.length < 10) {
-      field.setCustomValidity('Message must be at least 10 characters');
-      this.showError(field, errorElement, 'Message must be at least 10 characters');
+    if (definition.pattern !== undefined && !new RegExp(definition.pattern).test(value)) {
+      return definition.patternMessage || this.t('invalidFormat', { label });
+    }
+
+    return null;
+  }
+
+  validateField(field) {
+    const errorId = `${field.id}-error`;
+    const errorElement = this.shadowRoot.getElementById(errorId);
+    const definition = this.getFieldDefinition(field.name);
+    
+    field.setCustomValidity('');
+    
+    const error = definition ? this.getFieldError(definition, field) : null;
+    if (error) {
+      field.setCustomValidity(error);
+      this.showError(field, errorElement, error);
       return false;
     }
 
@@ -335,48 +1467,286 @@ class ContactForm extends HTMLElement {
   }
 
   validateForm() {
-    const nameInput = this.shadowRoot.getElementById('name');
-    const emailInput = this.shadowRoot.getElementById('email');
-    const messageInput = this.shadowRoot.getElementById('message-input');
-    
-    const isNameValid = this.validateField(nameInput);
-    const isEmailValid = this.validateField(emailInput);
-    const isMessageValid = this.validateField(messageInput);
-    
-    return isNameValid && isEmailValid && isMessageValid;
+    // Validate every field so all errors show at once
+    const errors = {};
+    this.schema.fields.forEach(definition => {
+      const field = this.shadowRoot.getElementById(`field-${definition.name}`);
+      if (!this.validateField(field)) {
+        errors[definition.name] = field.validationMessage;
+      }
+    });
+
+    const valid = Object.keys(errors).length === 0;
+    this.dispatchEvent(new CustomEvent('contact-validated', {
+      detail: { valid, errors },
+      bubbles: true,
+      composed: true
+    }));
+    return valid;
   }
 
-  async handleSubmit() {
-    if (!this.validateForm() || this.state.submitting) {
+  // Validates and sends the form as if the visitor had pressed the button
+  submit() {
+    if (!this.shadowRoot.getElementById('contactForm')) {
+      return Promise.resolve(false);
+    }
+    return this.handleSubmit();
+  }
+
+  // Empties the form, clears errors and messages, and brings the form back
+  // if success content replaced it
+  reset() {
+    const form = this.shadowRoot.getElementById('contactForm');
+    if (!form) {
       return;
     }
 
-    this.setState({ submitting: true });
-    this.showMessage('', ''); // Clear previous messages
+    this.resetForm();
+    this.schema.fields.forEach(definition => {
+      const field = this.shadowRoot.getElementById(`field-${definition.name}`);
+      field.setCustomValidity('');
+      this.clearError(field, this.shadowRoot.getElementById(`field-${definition.name}-error`));
+    });
+    this.showMessage('', '');
+    form.hidden = false;
+    this.shadowRoot.getElementById('successContent').hidden = true;
+    this.clearDraft();
+    this.pendingSubmission = null;
+  }
+
+  // Fills in fields by name; names that aren't in the schema are ignored.
+  // Values set before the form has loaded are applied once it has.
+  setValues(values) {
+    if (!this.shadowRoot.getElementById('contactForm')) {
+      this.pendingValues = { ...this.pendingValues, ...values };
+      return;
+    }
+    this.pendingValues = null;
+
+    Object.entries(values || {}).forEach(([name, value]) => {
+      const definition = this.getFieldDefinition(name);
+      const field = this.shadowRoot.getElementById(`field-${name}`);
+      if (!definition || !field) {
+        return;
+      }
+
+      if (definition.type === 'file') {
+        this.selectedFiles[name] = [...(value || [])];
+        this.renderFileList(definition, field);
+      } else if (definition.type === 'checkbox') {
+        field.checked = Boolean(value);
+      } else {
+        field.value = value === undefined || value === null ? '' : String(value);
+      }
+
+      const counter = this.shadowRoot.getElementById(`field-${name}-count`);
+      if (counter) {
+        counter.textContent = this.t('charCount', { count: field.value.length, max: definition.maxLength });
+      }
+    });
+  }
+
+  getValues() {
+    const values = {};
+
+    this.schema.fields.forEach(definition => {
+      const field = this.shadowRoot.getElementById(`field-${definition.name}`);
+      if (definition.type === 'file') {
+        values[definition.name] = [...(this.selectedFiles[definition.name] || [])];
+      } else if (field) {
+        values[definition.name] = definition.type === 'checkbox' ? field.checked : field.value;
+      }
+    });
+
+    return values;
+  }
+
+  resetForm() {
+    this.shadowRoot.getElementById('contactForm').reset();
+    this.schema.fields.forEach(definition => {
+      const counter = this.shadowRoot.getElementById(`field-${definition.name}-count`);
+      if (counter) {
+        counter.textContent = this.t('charCount', { count: 0, max: definition.maxLength });
+      }
+    });
+    this.clearSelectedFiles();
+    this.shadowRoot.querySelectorAll('.file-list').forEach(list => {
+      list.textContent = '';
+    });
+  }
+
+  // Honeypot value plus the solved challenge (waits for the solver if needed)
+  async getSpamFields() {
+    const honeypot = this.shadowRoot.getElementById('hp-website');
+    const challenge = await (this.challenge || {});
+    return { _website: honeypot ? honeypot.value : '', ...challenge };
+  }
 
-    const formData = {
-      name: this.shadowRoot.getElementById('name').value,
-      email: this.shadowRoot.getElementById('email').value,
-      message: this.shadowRoot.getElementById('message-input').value
+  // JSON when there is nothing to upload, multipart (with progress) otherwise.
+  // `extra` carries non-schema fields such as the spam challenge.
+  // Resolves to { ok, status, data } either way; rejects with
+  // error.retryable set when the request never reached the server.
+  async send(values, extra = {}, submissionId = null) {
+    const headers = {
+      // Server-side validation errors come back in the form's language
+      'Accept-Language': this.language
     };
+    if (submissionId) {
+      // Lets the server recognize a retry of a submission it already stored:
+      // the key replays the first response, the ID matches the stored contact
+      headers['Idempotency-Key'] = submissionId;
+      headers['X-Client-Submission-Id'] = submissionId;
+    }
 
-    try {
-      const apiUrl = this.getAttribute('api-url') || '/api/contacts';
-      
-      const response = await fetch(apiUrl, {
+    const fileFields = this.schema.fields.filter(definition => definition.type === 'file');
+    const hasFiles = fileFields.some(definition => (values[definition.name] || []).length > 0);
+
+    if (!hasFiles) {
+      const payload = { ...values, ...extra };
+      fileFields.forEach(definition => delete payload[definition.name]);
+
+      const response = await this.requestOrRetryable(this.submitUrl, {
         method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify(formData)
+        headers: { ...headers, 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+      return { ok: response.ok, status: response.status, data: await response.json() };
+    }
+
+    const body = new FormData();
+    Object.entries(extra).forEach(([name, value]) => body.append(name, value));
+    // Every value, including any a contact-before-submit listener added
+    Object.entries(values).forEach(([name, value]) => {
+      if (fileFields.some(definition => definition.name === name)) {
+        value.forEach(file => body.append(name, file, file.name));
+      } else if (value !== undefined && value !== null) {
+        body.append(name, String(value));
+      }
+    });
+
+    if (this.transport) {
+      const response = await this.requestOrRetryable(this.submitUrl, { method: 'POST', headers, body });
+      return { ok: response.ok, status: response.status, data: await response.json() };
+    }
+
+    return this.sendWithProgress(this.submitUrl, body, headers);
+  }
+
+  // fetch() rejects only when the request never got an answer
+  async requestOrRetryable(url, init) {
+    try {
+      return await this.request(url, init);
+    } catch (error) {
+      error.retryable = true;
+      throw error;
+    }
+  }
+
+  // fetch() can't report upload progress, so multipart goes through XHR
+  sendWithProgress(url, body, headers = {}) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('POST', url);
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+      xhr.upload.addEventListener('progress', (e) => {
+        if (e.lengthComputable) {
+          this.updateProgress(e.loaded / e.total);
+        }
+      });
+      xhr.addEventListener('load', () => {
+        let data = {};
+        try {
+          data = JSON.parse(xhr.responseText);
+        } catch (error) {
+          data = { error: this.t('uploadFailed', { status: xhr.status }) };
+        }
+        resolve({ ok: xhr.status >= 200 && xhr.status < 300, status: xhr.status, data });
+      });
+      xhr.addEventListener('error', () => {
+        const error = new Error(this.t('networkError'));
+        error.retryable = true;
+        reject(error);
       });
+      xhr.addEventListener('abort', () => reject(new Error(this.t('uploadCancelled'))));
+
+      this.updateProgress(0);
+      xhr.send(body);
+    });
+  }
+
+  updateProgress(fraction) {
+    const container = this.shadowRoot.getElementById('uploadProgress');
+    if (!container) {
+      return;
+    }
+
+    if (fraction === null) {
+      container.hidden = true;
+      return;
+    }
 
-      const data = await response.json();
+    const percent = Math.round(fraction * 100);
+    container.hidden = false;
+    this.shadowRoot.getElementById('uploadProgressBar').value = percent;
+    this.shadowRoot.getElementById('uploadProgressText').textContent = `${percent}%`;
+  }
 
-      if (response.ok) {
-        this.showMessage('Thank you! Your message has been sent successfully.', 'success');
-        this.shadowRoot.getElementById('contactForm').reset();
-        this.shadowRoot.getElementById('char-count').textContent = '0';
+  // Resolves to true once the submission was accepted, false if it was
+  // invalid, cancelled or failed
+  async handleSubmit() {
+    if (this.state.submitting || !this.validateForm()) {
+      return false;
+    }
+
+    // Listeners may add to or change detail.values, or cancel the submission
+    const beforeSubmit = new CustomEvent('contact-before-submit', {
+      detail: { values: this.getValues() },
+      cancelable: true,
+      bubbles: true,
+      composed: true
+    });
+    if (!this.dispatchEvent(beforeSubmit)) {
+      return false;
+    }
+    const formData = beforeSubmit.detail.values;
+
+    this.setState({ submitting: true });
+    this.showMessage('', ''); // Clear previous messages
+
+    // Sending the same values again after a timeout or a lost response reuses
+    // the attempt's Idempotency-Key (and its solved challenge, as the key
+    // only matches an identical body), so the API can't store it twice
+    const valuesKey = this.submissionValuesKey(formData);
+    const retry = this.pendingSubmission?.values === valuesKey ? this.pendingSubmission : null;
+    const submissionId = retry ? retry.id : this.createSubmissionId();
+    let spamFields = retry ? retry.spamFields : {};
+
+    try {
+      if (!retry) {
+        spamFields = await this.getSpamFields();
+        this.pendingSubmission = submissionId ? { id: submissionId, values: valuesKey, spamFields } : null;
+      }
+      if (this.canQueue && navigator.onLine === false) {
+        const offline = new Error(this.t('networkError'));
+        offline.retryable = true;
+        throw offline;
+      }
+
+      const { ok, status, data } = await this.send(formData, spamFields, submissionId);
+      if (ok || (status < 500 && !RETRY_SAME_ATTEMPT_STATUSES.includes(status))) {
+        this.pendingSubmission = null;
+      }
+
+      if (ok) {
+        this.resetForm();
+        this.clearDraft();
+        if (this.querySelector(':scope > [slot="success"]')) {
+          this.shadowRoot.getElementById('contactForm').hidden = true;
+          this.shadowRoot.getElementById('successContent').hidden = false;
+        } else {
+          this.showMessage(this.formDefinition?.successMessage || this.t('success'), 'success');
+        }
         this.setState({ success: true });
         
         // Dispatch custom event on success
@@ -390,17 +1760,253 @@ class ContactForm extends HTMLElement {
         setTimeout(() => {
           this.setState({ success: false });
         }, 5000);
-      } else {
-        throw new Error(data.error || data.details?.[0]?.msg || 'Failed to send message');
+        return true;
       }
+
+      // Validation details are localized; the top-level error is not
+      const error = new Error(data.details?.[0]?.msg || data.error || this.t('sendFailed'));
+      error.status = status;
+      error.details = data.details || [];
+      // The API itself couldn't be reached
+      error.retryable = [502, 503, 504].includes(status);
+      throw error;
     } catch (error) {
+      if (error.retryable && this.canQueue && await this.queueSubmission(submissionId, formData, spamFields)) {
+        // The outbox sends it from now on
+        this.pendingSubmission = null;
+        return false;
+      }
+
       console.error('Error submitting form:', error);
-      this.showMessage(error.message || 'Something went wrong. Please try again later.', 'error');
+      this.showMessage(error.message || this.t('genericError'), 'error');
+      this.dispatchEvent(new CustomEvent('contact-error', {
+        detail: {
+          message: error.message || this.t('genericError'),
+          status: error.status || null,
+          details: error.details || [],
+          values: formData
+        },
+        bubbles: true,
+        composed: true
+      }));
+      return false;
     } finally {
+      // Challenges are single use
+      this.prepareChallenge();
+      this.updateProgress(null);
       this.setState({ submitting: false });
     }
   }
 
+  get autosave() {
+    return this.hasAttribute('autosave');
+  }
+
+  // autosave-storage="session" keeps drafts for the tab only
+  get draftStorage() {
+    try {
+      return this.getAttribute('autosave-storage') === 'session' ? sessionStorage : localStorage;
+    } catch (error) {
+      // Storage can be blocked outright (e.g. third-party iframes)
+      return null;
+    }
+  }
+
+  // One draft per form and page
+  get draftKey() {
+    return `${DRAFT_KEY_PREFIX}:${this.getAttribute('form') || this.submitUrl}:${location.pathname}`;
+  }
+
+  get draftExpiryMs() {
+    const minutes = parseFloat(this.getAttribute('autosave-expiry'));
+    return (minutes > 0 ? minutes : DEFAULT_DRAFT_EXPIRY_MINUTES) * 60 * 1000;
+  }
+
+  // The saved draft, or null if there is none or it has expired
+  loadDraft() {
+    const storage = this.draftStorage;
+    if (!storage) {
+      return null;
+    }
+
+    try {
+      const draft = JSON.parse(storage.getItem(this.draftKey));
+      if (!draft || !draft.values) {
+        return null;
+      }
+      if (Date.now() - draft.savedAt > this.draftExpiryMs) {
+        storage.removeItem(this.draftKey);
+        return null;
+      }
+      return draft;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  scheduleDraftSave() {
+    // Typing over an offered draft means it isn't wanted
+    this.shadowRoot.getElementById('draftPrompt').hidden = true;
+    clearTimeout(this.draftTimer);
+    this.draftTimer = setTimeout(() => this.saveDraft(), DRAFT_SAVE_DELAY_MS);
+  }
+
+  // Files can't be kept in storage, so drafts hold the other fields only
+  saveDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+
+    const storage = this.draftStorage;
+    if (!storage || !this.shadowRoot.getElementById('contactForm')) {
+      return;
+    }
+
+    const values = {};
+    Object.entries(this.getValues()).forEach(([name, value]) => {
+      if (this.getFieldDefinition(name)?.type !== 'file' && value !== '' && value !== false) {
+        values[name] = value;
+      }
+    });
+
+    try {
+      if (Object.keys(values).length === 0) {
+        storage.removeItem(this.draftKey);
+      } else {
+        storage.setItem(this.draftKey, JSON.stringify({ savedAt: Date.now(), values }));
+      }
+    } catch (error) {
+      console.warn('Could not save draft:', error);
+    }
+  }
+
+  clearDraft() {
+    clearTimeout(this.draftTimer);
+    this.draftTimer = null;
+
+    const prompt = this.shadowRoot.getElementById('draftPrompt');
+    if (prompt) {
+      prompt.hidden = true;
+    }
+    try {
+      this.draftStorage?.removeItem(this.draftKey);
+    } catch (error) {
+      // Nothing to clean up
+    }
+  }
+
+  // Shows the restore prompt when a draft was left behind on this page
+  offerDraft() {
+    const prompt = this.shadowRoot.getElementById('draftPrompt');
+    const draft = this.autosave && prompt ? this.loadDraft() : null;
+    if (!draft) {
+      return;
+    }
+
+    const time = new Date(draft.savedAt).toLocaleString(this.language, { dateStyle: 'medium', timeStyle: 'short' });
+    this.shadowRoot.getElementById('draftPromptText').textContent = this.t('draftFound', { time });
+    prompt.hidden = false;
+  }
+
+  restoreDraft() {
+    const draft = this.loadDraft();
+    this.shadowRoot.getElementById('draftPrompt').hidden = true;
+    if (draft) {
+      this.setValues(draft.values);
+    }
+  }
+
+  // Offline queueing needs contact-outbox.js on the page
+  get canQueue() {
+    return Boolean(globalThis.ContactOutbox?.isSupported());
+  }
+
+  // Compares the values of two attempts; files by name, size and date
+  submissionValuesKey(values) {
+    return JSON.stringify(values, (name, value) => (
+      value instanceof File ? [value.name, value.size, value.lastModified] : value
+    ));
+  }
+
+  createSubmissionId() {
+    if (globalThis.ContactOutbox) {
+      return ContactOutbox.createId();
+    }
+    return globalThis.crypto?.randomUUID ? crypto.randomUUID() : null;
+  }
+
+  // Keeps a submission that couldn't be sent until it can be. Resolves to
+  // false if it couldn't be stored either.
+  async queueSubmission(id, values, extra) {
+    try {
+      await ContactOutbox.add({
+        id,
+        url: this.submitUrl,
+        language: this.language,
+        values,
+        extra,
+        fileFields: this.schema.fields.filter(definition => definition.type === 'file').map(definition => definition.name)
+      });
+    } catch (error) {
+      console.error('Error queueing submission:', error);
+      return false;
+    }
+
+    ContactOutbox.requestSync();
+    this.resetForm();
+    this.clearDraft();
+    this.showMessage(this.t('queued'), 'success');
+    this.dispatchEvent(new CustomEvent('contact-queued', {
+      detail: { id, values },
+      bubbles: true,
+      composed: true
+    }));
+    return true;
+  }
+
+  // Sends whatever is queued; runs on load and when the browser comes back online
+  async flushOutbox() {
+    try {
+      const results = await ContactOutbox.flush({ transport: (url, init) => this.request(url, init) });
+      this.announceSent(results
+        .filter(result => result.ok)
+        .map(result => ({ id: result.entry.id, url: result.entry.url, values: result.entry.values })));
+
+      // Rejected for good (e.g. no longer valid for the form); tell the page
+      results
+        .filter(result => !result.ok && !result.retry && result.entry.url === this.submitUrl)
+        .forEach(result => this.dispatchEvent(new CustomEvent('contact-error', {
+          detail: {
+            message: result.data.details?.[0]?.msg || result.data.error || this.t('sendFailed'),
+            status: result.status,
+            details: result.data.details || [],
+            values: result.entry.values
+          },
+          bubbles: true,
+          composed: true
+        })));
+    } catch (error) {
+      console.error('Error sending queued submissions:', error);
+    }
+  }
+
+  // Queued submissions for this form that have gone out, from a flush here
+  // or from the service worker
+  announceSent(entries = []) {
+    const sent = entries.filter(entry => entry.url === this.submitUrl);
+    if (sent.length === 0) {
+      return;
+    }
+
+    if (this.shadowRoot.getElementById('message')) {
+      this.showMessage(this.t('queuedSent'), 'success');
+    }
+    sent.forEach(entry => this.dispatchEvent(new CustomEvent('contact-submitted', {
+      detail: entry.values,
+      bubbles: true,
+      composed: true
+    })));
+  }
+
   setState(newState) {
     this.state = { ...this.state, ...newState };
     this.updateButton();
@@ -411,8 +2017,8 @@ class ContactForm extends HTMLElement {
     if (submitBtn) {
       submitBtn.disabled = this.state.submitting;
       submitBtn.innerHTML = this.state.submitting 
-        ? '<span class="loading"></span> Sending...'
-        : 'Send Message';
+        ? `<span class="loading"></span> ${this.escapeHtml(this.t('sending'))}`
+        : this.escapeHtml(this.t('send'));
     }
   }
 
@@ -420,6 +2026,8 @@ class ContactForm extends HTMLElement {
     const messageEl = this.shadowRoot.getElementById('message');
     messageEl.textContent = text;
     messageEl.className = `message ${type}`;
+    // message-success / message-error let pages style each kind separately
+    messageEl.setAttribute('part', type ? `message message-${type}` : 'message');
     messageEl.style.display = text ? 'block' : 'none';
     
     // Auto-hide error messages after 10 seconds
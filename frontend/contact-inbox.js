@@ -0,0 +1,683 @@
+class ContactInbox extends HTMLElement {
+  constructor() {
+    super();
+    this.attachShadow({ mode: 'open' });
+    this.listRequest = 0;
+    this.detailRequest = 0;
+    this.filters = { q: '', email: '', startDate: '', endDate: '' };
+    this.state = {
+      page: 1,
+      contacts: [],
+      pagination: null,
+      loading: false,
+      error: null,
+      selected: null,
+      detailLoading: false,
+      detailError: null,
+      deleting: false
+    };
+  }
+
+  connectedCallback() {
+    this.render();
+    this.setupEventListeners();
+    this.loadContacts();
+  }
+
+  static get observedAttributes() {
+    return ['api-url', 'api-key', 'page-size'];
+  }
+
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Attributes present at upgrade time are picked up by connectedCallback
+    if (oldValue !== newValue && this.shadowRoot.getElementById('layout')) {
+      this.state = { ...this.state, page: 1, selected: null, detailError: null };
+      this.renderDetail();
+      this.loadContacts();
+    }
+  }
+
+  get apiUrl() {
+    return (this.getAttribute('api-url') || '/api/contacts').replace(/\/$/, '');
+  }
+
+  get pageSize() {
+    return parseInt(this.getAttribute('page-size')) || 20;
+  }
+
+  escapeHtml(value) {
+    const div = document.createElement('div');
+    div.textContent = value === undefined || value === null ? '' : String(value);
+    return div.innerHTML;
+  }
+
+  formatDate(value) {
+    return value ? new Date(value).toLocaleString() : '';
+  }
+
+  formatSize(bytes) {
+    if (bytes >= 1024 * 1024) {
+      return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+    return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  }
+
+  // Every admin call goes through here so the key and error handling live in one place
+  async request(path, options = {}) {
+    const headers = { ...(options.headers || {}) };
+    const apiKey = this.getAttribute('api-key');
+    if (apiKey) {
+      headers.Authorization = `Bearer ${apiKey}`;
+    }
+
+    const response = await fetch(`${this.apiUrl}${path}`, { ...options, headers });
+
+    if (response.status === 401 || response.status === 403) {
+      throw new Error('Not authorized. Check that the API key is valid and has the required scope.');
+    }
+    return response;
+  }
+
+  async requestJson(path, options) {
+    const response = await this.request(path, options);
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(data.error || `Request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  // Date inputs give local calendar days; the end date is inclusive
+  buildQuery() {
+    const params = new URLSearchParams({ page: this.state.page, limit: this.pageSize });
+
+    if (this.filters.q) {
+      params.set('q', this.filters.q);
+    }
+    if (this.filters.email) {
+      params.set('email', this.filters.email);
+    }
+    if (this.filters.startDate) {
+      params.set('startDate', new Date(`${this.filters.startDate}T00:00:00`).toISOString());
+    }
+    if (this.filters.endDate) {
+      params.set('endDate', new Date(`${this.filters.endDate}T23:59:59.999`).toISOString());
+    }
+
+    return params.toString();
+  }
+
+  async loadContacts() {
+    const request = ++this.listRequest;
+    this.setState({ loading: true, error: null });
+
+    try {
+      const data = await this.requestJson(`?${this.buildQuery()}`);
+      if (request !== this.listRequest) {
+        return;
+      }
+      this.setState({ loading: false, contacts: data.data, pagination: data.pagination });
+    } catch (error) {
+      if (request !== this.listRequest) {
+        return;
+      }
+      console.error('Error loading contacts:', error);
+      this.setState({ loading: false, contacts: [], pagination: null, error: error.message });
+    }
+  }
+
+  async openContact(id) {
+    const request = ++this.detailRequest;
+    this.setState({ selected: { id }, detailLoading: true, detailError: null });
+    this.renderDetail();
+
+    try {
+      const data = await this.requestJson(`/${encodeURIComponent(id)}`);
+      if (request !== this.detailRequest) {
+        return;
+      }
+      this.setState({ selected: data.data, detailLoading: false });
+    } catch (error) {
+      if (request !== this.detailRequest) {
+        return;
+      }
+      console.error('Error loading contact:', error);
+      this.setState({ detailLoading: false, detailError: error.message });
+    }
+    this.renderDetail();
+  }
+
+  closeContact() {
+    this.detailRequest++;
+    this.setState({ selected: null, detailLoading: false, detailError: null });
+    this.renderDetail();
+  }
+
+  async deleteContact() {
+    const contact = this.state.selected;
+    if (!contact || this.state.deleting) {
+      return;
+    }
+    if (!window.confirm(`Delete the submission from ${contact.name} <${contact.email}>? This cannot be undone.`)) {
+      return;
+    }
+
+    this.setState({ deleting: true, detailError: null });
+    this.renderDetail();
+
+    try {
+      await this.requestJson(`/${encodeURIComponent(contact.id)}`, { method: 'DELETE' });
+
+      this.dispatchEvent(new CustomEvent('contact-deleted', {
+        detail: { id: contact.id, email: contact.email },
+        bubbles: true,
+        composed: true
+      }));
+
+      this.setState({ deleting: false, selected: null });
+      this.renderDetail();
+
+      // Step back if we just emptied the last page
+      if (this.state.contacts.length === 1 && this.state.page > 1) {
+        this.state.page--;
+      }
+      await this.loadContacts();
+    } catch (error) {
+      console.error('Error deleting contact:', error);
+      this.setState({ deleting: false, detailError: error.message });
+      this.renderDetail();
+    }
+  }
+
+  // Attachment downloads need the API key header, so they can't be plain links
+  async downloadAttachment(attachment) {
+    const contact = this.state.selected;
+
+    try {
+      const response = await this.request(
+        `/${encodeURIComponent(contact.id)}/attachments/${encodeURIComponent(attachment.id)}`
+      );
+      if (!response.ok) {
+        throw new Error(`Download failed (${response.status})`);
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.filename;
+      link.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      this.setState({ detailError: error.message });
+      this.renderDetail();
+    }
+  }
+
+  render() {
+    this.shadowRoot.innerHTML = `
+      <style>
+        :host {
+          display: block;
+          font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, sans-serif;
+          color: #333;
+        }
+
+        .inbox {
+          background: white;
+          padding: 24px;
+          border-radius: 15px;
+          box-shadow: 0 10px 30px rgba(0,0,0,0.2);
+        }
+
+        .filters {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.75rem;
+          align-items: flex-end;
+          margin-bottom: 1rem;
+        }
+
+        .filters label {
+          display: flex;
+          flex-direction: column;
+          font-size: 0.85rem;
+          font-weight: 500;
+          color: #555;
+          gap: 0.25rem;
+        }
+
+        input {
+          padding: 0.5rem;
+          border: 1px solid #ddd;
+          border-radius: 5px;
+          font-size: 0.95rem;
+          font-family: inherit;
+        }
+
+        input:focus {
+          outline: none;
+          border-color: #4a6cf7;
+          box-shadow: 0 0 0 3px rgba(74, 108, 247, 0.1);
+        }
+
+        button {
+          padding: 0.5rem 1rem;
+          border: 1px solid #ddd;
+          border-radius: 5px;
+          background: white;
+          font-size: 0.95rem;
+          font-family: inherit;
+          cursor: pointer;
+        }
+
+        button.primary {
+          background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+          color: white;
+          border: none;
+        }
+
+        button.danger {
+          background: #dc3545;
+          color: white;
+          border: none;
+        }
+
+        button:disabled {
+          opacity: 0.6;
+          cursor: not-allowed;
+        }
+
+        .layout {
+          display: grid;
+          grid-template-columns: minmax(0, 1fr);
+          gap: 1.5rem;
+        }
+
+        .layout.has-detail {
+          grid-template-columns: minmax(0, 3fr) minmax(0, 2fr);
+        }
+
+        @media (max-width: 768px) {
+          .layout.has-detail {
+            grid-template-columns: minmax(0, 1fr);
+          }
+        }
+
+        table {
+          width: 100%;
+          border-collapse: collapse;
+          font-size: 0.95rem;
+        }
+
+        th, td {
+          text-align: left;
+          padding: 0.6rem 0.5rem;
+          border-bottom: 1px solid #eee;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        th {
+          font-size: 0.8rem;
+          text-transform: uppercase;
+          color: #666;
+        }
+
+        tbody tr {
+          cursor: pointer;
+        }
+
+        tbody tr:hover, tbody tr:focus {
+          background: #f5f7ff;
+          outline: none;
+        }
+
+        tbody tr.selected {
+          background: #eef1fe;
+        }
+
+        /* Search results: the API escapes snippets and only adds <mark> */
+        tr.snippet-row td {
+          padding-top: 0;
+          white-space: normal;
+          font-size: 0.85rem;
+          color: #666;
+        }
+
+        tr:has(+ tr.snippet-row) td {
+          border-bottom: none;
+        }
+
+        .snippet mark {
+          background: #fff3b0;
+          color: inherit;
+        }
+
+        .pager {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-top: 1rem;
+          font-size: 0.9rem;
+          color: #666;
+        }
+
+        .status {
+          text-align: center;
+          color: #666;
+          padding: 2rem 0;
+        }
+
+        .message.error {
+          background: #f8d7da;
+          color: #721c24;
+          border: 1px solid #f5c6cb;
+          padding: 0.75rem 1rem;
+          border-radius: 5px;
+          margin-bottom: 1rem;
+        }
+
+        .detail {
+          border-left: 1px solid #eee;
+          padding-left: 1.5rem;
+        }
+
+        .detail-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: 1rem;
+        }
+
+        .detail h3 {
+          margin: 0 0 0.25rem;
+          font-size: 1.2rem;
+        }
+
+        .detail .meta {
+          color: #666;
+          font-size: 0.85rem;
+          margin-bottom: 1rem;
+        }
+
+        .detail .body {
+          white-space: pre-wrap;
+          word-break: break-word;
+          background: #f8f9fa;
+          border-radius: 5px;
+          padding: 1rem;
+          margin-bottom: 1rem;
+        }
+
+        dl {
+          display: grid;
+          grid-template-columns: max-content 1fr;
+          gap: 0.25rem 1rem;
+          margin: 0 0 1rem;
+          font-size: 0.9rem;
+        }
+
+        dt {
+          font-weight: 600;
+          color: #555;
+        }
+
+        dd {
+          margin: 0;
+          word-break: break-word;
+        }
+
+        .attachments {
+          list-style: none;
+          padding: 0;
+          margin: 0 0 1rem;
+        }
+
+        .attachments button {
+          border: none;
+          padding: 0.25rem 0;
+          color: #4a6cf7;
+          text-decoration: underline;
+        }
+
+        .close-btn {
+          border: none;
+          font-size: 1.25rem;
+          line-height: 1;
+          padding: 0.25rem 0.5rem;
+        }
+      </style>
+
+      <div class="inbox">
+        <form class="filters" id="filters">
+          <label>Search
+            <input type="search" name="q" placeholder='invoice, "late payment", inv*' maxlength="200">
+          </label>
+          <label>Email
+            <input type="email" name="email" placeholder="someone@example.com">
+          </label>
+          <label>From
+            <input type="date" name="startDate">
+          </label>
+          <label>To
+            <input type="date" name="endDate">
+          </label>
+          <button type="submit" class="primary">Apply</button>
+          <button type="reset">Reset</button>
+        </form>
+
+        <div class="layout" id="layout">
+          <div>
+            <div id="list"></div>
+            <div class="pager" id="pager"></div>
+          </div>
+          <aside class="detail" id="detail" hidden></aside>
+        </div>
+      </div>
+    `;
+
+    this.renderList();
+    this.renderDetail();
+  }
+
+  renderList() {
+    const list = this.shadowRoot.getElementById('list');
+    const pager = this.shadowRoot.getElementById('pager');
+    if (!list) {
+      return;
+    }
+
+    const { contacts, pagination, loading, error, selected } = this.state;
+
+    if (error) {
+      list.innerHTML = `<div class="message error">${this.escapeHtml(error)}</div>`;
+    } else if (loading && contacts.length === 0) {
+      list.innerHTML = '<div class="status">Loading submissions...</div>';
+    } else if (contacts.length === 0) {
+      list.innerHTML = '<div class="status">No submissions found.</div>';
+    } else {
+      list.innerHTML = `
+        <table>
+          <thead>
+            <tr><th>Received</th><th>Name</th><th>Email</th><th>Form</th></tr>
+          </thead>
+          <tbody>
+            ${contacts.map(contact => `
+              <tr tabindex="0" data-id="${this.escapeHtml(contact.id)}"
+                  class="${selected && String(selected.id) === String(contact.id) ? 'selected' : ''}">
+                <td>${this.escapeHtml(this.formatDate(contact.created_at))}</td>
+                <td>${this.escapeHtml(contact.name)}</td>
+                <td>${this.escapeHtml(contact.email)}</td>
+                <td>${this.escapeHtml(contact.form || '')}</td>
+              </tr>
+              ${contact.snippet ? `
+                <tr class="snippet-row" data-id="${this.escapeHtml(contact.id)}">
+                  <td colspan="4" class="snippet">${contact.snippet}</td>
+                </tr>
+              ` : ''}
+            `).join('')}
+          </tbody>
+        </table>
+      `;
+    }
+
+    if (!pagination || pagination.total === 0) {
+      pager.innerHTML = '';
+      return;
+    }
+
+    const totalPages = Math.max(1, pagination.totalPages);
+    pager.innerHTML = `
+      <button type="button" id="prevPage" ${pagination.page <= 1 || loading ? 'disabled' : ''}>&larr; Previous</button>
+      <span>Page ${pagination.page} of ${totalPages} &middot; ${pagination.total} submissions</span>
+      <button type="button" id="nextPage" ${pagination.page >= totalPages || loading ? 'disabled' : ''}>Next &rarr;</button>
+    `;
+  }
+
+  renderDetail() {
+    const detail = this.shadowRoot.getElementById('detail');
+    const layout = this.shadowRoot.getElementById('layout');
+    if (!detail) {
+      return;
+    }
+
+    const { selected, detailLoading, detailError, deleting } = this.state;
+    detail.hidden = !selected;
+    layout.classList.toggle('has-detail', Boolean(selected));
+
+    if (!selected) {
+      detail.innerHTML = '';
+      return;
+    }
+
+    const closeButton = '<button type="button" class="close-btn" id="closeDetail" aria-label="Close">&times;</button>';
+    const errorMessage = detailError ? `<div class="message error">${this.escapeHtml(detailError)}</div>` : '';
+
+    if (detailLoading || !selected.email) {
+      detail.innerHTML = `
+        <div class="detail-header"><span></span>${closeButton}</div>
+        ${errorMessage || '<div class="status">Loading submission...</div>'}
+      `;
+      return;
+    }
+
+    const fields = Object.entries(selected.fields || {});
+    const files = selected.attachments || [];
+
+    detail.innerHTML = `
+      <div class="detail-header">
+        <div>
+          <h3>${this.escapeHtml(selected.name)}</h3>
+          <div class="meta">
+            <a href="mailto:${encodeURIComponent(selected.email)}">${this.escapeHtml(selected.email)}</a>
+            &middot; ${this.escapeHtml(this.formatDate(selected.created_at))}
+            ${selected.form ? `&middot; ${this.escapeHtml(selected.form)}` : ''}
+          </div>
+        </div>
+        ${closeButton}
+      </div>
+
+      ${errorMessage}
+
+      <div class="body">${this.escapeHtml(selected.message)}</div>
+
+      ${fields.length > 0 ? `
+        <dl>
+          ${fields.map(([name, value]) => `<dt>${this.escapeHtml(name)}</dt><dd>${this.escapeHtml(value)}</dd>`).join('')}
+        </dl>
+      ` : ''}
+
+      ${files.length > 0 ? `
+        <ul class="attachments">
+          ${files.map((file, index) => `
+            <li>
+              <button type="button" data-attachment="${index}">${this.escapeHtml(file.filename)}</button>
+              (${this.formatSize(file.size)})
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+
+      <button type="button" class="danger" id="deleteContact" ${deleting ? 'disabled' : ''}>
+        ${deleting ? 'Deleting...' : 'Delete submission'}
+      </button>
+    `;
+  }
+
+  // Listeners are attached once to containers that survive re-renders
+  setupEventListeners() {
+    const filters = this.shadowRoot.getElementById('filters');
+    const list = this.shadowRoot.getElementById('list');
+    const pager = this.shadowRoot.getElementById('pager');
+    const detail = this.shadowRoot.getElementById('detail');
+
+    filters.addEventListener('submit', (e) => {
+      e.preventDefault();
+      const data = new FormData(filters);
+      this.filters = {
+        q: String(data.get('q') || '').trim(),
+        email: String(data.get('email') || '').trim(),
+        startDate: String(data.get('startDate') || ''),
+        endDate: String(data.get('endDate') || '')
+      };
+      this.state.page = 1;
+      this.loadContacts();
+    });
+
+    filters.addEventListener('reset', () => {
+      this.filters = { q: '', email: '', startDate: '', endDate: '' };
+      this.state.page = 1;
+      this.loadContacts();
+    });
+
+    const openRow = (e) => {
+      const row = e.target.closest('tr[data-id]');
+      if (row) {
+        this.openContact(row.dataset.id);
+      }
+    };
+    list.addEventListener('click', openRow);
+    list.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        openRow(e);
+      }
+    });
+
+    pager.addEventListener('click', (e) => {
+      if (e.target.id === 'prevPage' && this.state.page > 1) {
+        this.state.page--;
+        this.loadContacts();
+      } else if (e.target.id === 'nextPage') {
+        this.state.page++;
+        this.loadContacts();
+      }
+    });
+
+    detail.addEventListener('click', (e) => {
+      const target = e.target.closest('button');
+      if (!target) {
+        return;
+      }
+      if (target.id === 'closeDetail') {
+        this.closeContact();
+      } else if (target.id === 'deleteContact') {
+        this.deleteContact();
+      } else if (target.dataset.attachment !== undefined) {
+        this.downloadAttachment(this.state.selected.attachments[Number(target.dataset.attachment)]);
+      }
+    });
+  }
+
+  setState(newState) {
+    this.state = { ...this.state, ...newState };
+    this.renderList();
+  }
+}
+
+// Register the web component
+if (!customElements.get('contact-inbox')) {
+  customElements.define('contact-inbox', ContactInbox);
+}
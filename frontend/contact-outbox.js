@@ -0,0 +1,191 @@
+// Submissions that couldn't reach the server, kept in IndexedDB until they can.
+// Loaded by pages next to contact-form.js, and by contact-form-sw.js through
+// importScripts(), so it must not touch the DOM.
+globalThis.ContactOutbox = globalThis.ContactOutbox || (() => {
+  const DB_NAME = 'contact-form-outbox';
+  const STORE = 'submissions';
+  // Background Sync tag the service worker listens for
+  const SYNC_TAG = 'contact-outbox';
+  const CLIENT_ID_HEADER = 'X-Client-Submission-Id';
+
+  let database = null;
+  let flushing = null;
+
+  function open() {
+    if (!database) {
+      database = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(STORE, { keyPath: 'id' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+      database.catch(() => {
+        database = null;
+      });
+    }
+    return database;
+  }
+
+  async function transaction(mode, fn) {
+    const db = await open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  function isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  // RFC 4122 v4; randomUUID is only there in secure contexts
+  function createId() {
+    if (globalThis.crypto?.randomUUID) {
+      return crypto.randomUUID();
+    }
+    const bytes = crypto.getRandomValues(new Uint8Array(16));
+    bytes[6] = (bytes[6] & 0x0f) | 0x40;
+    bytes[8] = (bytes[8] & 0x3f) | 0x80;
+    const hex = [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+  }
+
+  // entry: { id, url, language, values, extra, fileFields }. `values` may hold
+  // arrays of Files for the names in `fileFields`; IndexedDB stores them as-is.
+  // `extra` holds the spam fields, sent but not reported back to the page.
+  async function add(entry) {
+    const record = { createdAt: Date.now(), attempts: 0, ...entry };
+    await transaction('readwrite', store => store.put(record));
+    return record;
+  }
+
+  async function all() {
+    const entries = await transaction('readonly', store => store.getAll());
+    return entries.sort((a, b) => a.createdAt - b.createdAt);
+  }
+
+  function remove(id) {
+    return transaction('readwrite', store => store.delete(id));
+  }
+
+  async function count() {
+    return isSupported() ? transaction('readonly', store => store.count()) : 0;
+  }
+
+  // Same wire format as the component: JSON, or multipart when there are files
+  function buildRequest(entry) {
+    const headers = {
+      'Idempotency-Key': entry.id,
+      [CLIENT_ID_HEADER]: entry.id,
+      'Accept-Language': entry.language || 'en'
+    };
+    const fileFields = entry.fileFields || [];
+    const values = { ...entry.values, ...entry.extra };
+    const hasFiles = fileFields.some(name => (values[name] || []).length > 0);
+
+    if (!hasFiles) {
+      const payload = { ...values };
+      fileFields.forEach(name => delete payload[name]);
+      return { method: 'POST', headers: { ...headers, 'Content-Type': 'application/json' }, body: JSON.stringify(payload) };
+    }
+
+    const body = new FormData();
+    Object.entries(values).forEach(([name, value]) => {
+      if (fileFields.includes(name)) {
+        value.forEach(file => body.append(name, file, file.name));
+      } else if (value !== undefined && value !== null) {
+        body.append(name, String(value));
+      }
+    });
+    return { method: 'POST', headers, body };
+  }
+
+  // Timeouts, rate limits and server errors are worth another try; any other
+  // 4xx would fail the same way again
+  function isRetryable(status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  async function send(entry, transport) {
+    try {
+      const response = await transport(entry.url, buildRequest(entry));
+      let data = {};
+      try {
+        data = await response.json();
+      } catch (error) {
+        data = {};
+      }
+      return { entry, ok: response.ok, status: response.status, data, retry: !response.ok && isRetryable(response.status) };
+    } catch (error) {
+      return { entry, ok: false, status: null, data: { error: error.message }, retry: true };
+    }
+  }
+
+  // Sends every queued submission, oldest first. Entries are dropped once the
+  // server has answered for good; the server de-duplicates on the client ID,
+  // so an entry sent twice (two tabs, or the page and the service worker) is
+  // stored once. Resolves to one result per entry.
+  function flush({ transport = (url, init) => fetch(url, init) } = {}) {
+    if (!isSupported()) {
+      return Promise.resolve([]);
+    }
+    if (!flushing) {
+      flushing = (async () => {
+        const results = [];
+        for (const entry of await all()) {
+          const result = await send(entry, transport);
+          if (result.retry) {
+            await transaction('readwrite', store => store.put({ ...entry, attempts: entry.attempts + 1 }));
+          } else {
+            await remove(entry.id);
+          }
+          results.push(result);
+          // Still offline; the rest would fail the same way
+          if (result.status === null) {
+            break;
+          }
+        }
+        return results;
+      })().finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  }
+
+  // Asks the page's service worker (if any) to flush once connectivity is back,
+  // even if the page has been closed by then
+  async function requestSync() {
+    if (typeof navigator === 'undefined' || !navigator.serviceWorker?.controller) {
+      return false;
+    }
+    try {
+      const registration = await navigator.serviceWorker.ready;
+      if (!registration.sync) {
+        return false;
+      }
+      await registration.sync.register(SYNC_TAG);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  return {
+    SYNC_TAG,
+    CLIENT_ID_HEADER,
+    isSupported,
+    createId,
+    add,
+    all,
+    remove,
+    count,
+    flush,
+    requestSync
+  };
+})();